@@ -0,0 +1,218 @@
+/*
+ * =================================================================================
+ * ADMINEXPORTS.JS - CSV / Excel Exports for Admin Lists
+ * =================================================================================
+ * ✅ تصدير الطلاب والنتائج والرسائل وسجلات النشاط والدخول بصيغة CSV أو XLSX
+ * ✅ نفس فلاتر قوائم الإدارة (listing.js) بدون تقسيم صفحات
+ * ✅ البيانات تُقرأ من Postgres على دفعات (pg-query-stream) ولا تُحمَّل كلها في الذاكرة
+ * ✅ CSV بترميز UTF-8 مع BOM ليعرض Excel النص العربي بشكل صحيح
+ */
+
+const ExcelJS = require('exceljs');
+const QueryStream = require('pg-query-stream');
+const { pool } = require('./database');
+const listing = require('./listing');
+
+const BATCH_SIZE = 500;
+
+// الأعمدة المصدَّرة لكل قائمة (key = اسم العمود في نتيجة الاستعلام)
+const EXPORTS = {
+    students: {
+        resource: 'students',
+        filename: 'students',
+        columns: [
+            { key: 'id', header: 'ID', width: 8 },
+            { key: 'name', header: 'الاسم / Name', width: 28 },
+            { key: 'email', header: 'البريد / Email', width: 32 },
+            { key: 'createdat', header: 'تاريخ التسجيل / Registered', width: 22 },
+            { key: 'last_seen', header: 'آخر ظهور / Last seen', width: 22 },
+            { key: 'isblocked', header: 'محظور / Blocked', width: 10 },
+            { key: 'blocked_reason', header: 'سبب الحظر / Block reason', width: 28 }
+        ]
+    },
+    'quiz-results': {
+        resource: 'quizResults',
+        filename: 'quiz-results',
+        columns: [
+            { key: 'id', header: 'ID', width: 8 },
+            { key: 'student_id', header: 'رقم الطالب / Student ID', width: 12 },
+            { key: 'student_name', header: 'الطالب / Student', width: 28 },
+            { key: 'student_email', header: 'البريد / Email', width: 32 },
+            { key: 'subject_id', header: 'رمز المادة / Subject ID', width: 18 },
+            { key: 'subject_title', header: 'المادة / Subject', width: 28 },
+            { key: 'quiz_name', header: 'الاختبار / Quiz', width: 28 },
+            { key: 'score', header: 'الدرجة / Score', width: 10 },
+            { key: 'correct_answers', header: 'الإجابات الصحيحة / Correct', width: 12 },
+            { key: 'total_questions', header: 'عدد الأسئلة / Questions', width: 12 },
+            { key: 'created_at', header: 'التاريخ / Date', width: 22 }
+        ]
+    },
+    messages: {
+        resource: 'messages',
+        filename: 'messages',
+        columns: [
+            { key: 'id', header: 'ID', width: 8 },
+            { key: 'studentid', header: 'رقم الطالب / Student ID', width: 12 },
+            { key: 'studentname', header: 'الطالب / Student', width: 28 },
+            { key: 'studentemail', header: 'البريد / Email', width: 32 },
+            { key: 'content', header: 'الرسالة / Message', width: 50 },
+            { key: 'adminreply', header: 'الرد / Reply', width: 50 },
+            { key: 'repliedby', header: 'رد بواسطة / Replied by', width: 16 },
+            { key: 'repliedat', header: 'تاريخ الرد / Replied at', width: 22 },
+            { key: 'isread', header: 'مقروءة / Read', width: 10 },
+            { key: 'createdat', header: 'التاريخ / Date', width: 22 }
+        ]
+    },
+    'activity-logs': {
+        resource: 'activityLogs',
+        filename: 'activity-logs',
+        columns: [
+            { key: 'id', header: 'ID', width: 8 },
+            { key: 'studentid', header: 'رقم الطالب / Student ID', width: 12 },
+            { key: 'studentname', header: 'الطالب / Student', width: 28 },
+            { key: 'activitytype', header: 'النشاط / Activity', width: 18 },
+            { key: 'subjectid', header: 'رمز المادة / Subject ID', width: 18 },
+            { key: 'subjectname', header: 'المادة / Subject', width: 28 },
+            { key: 'score', header: 'الدرجة / Score', width: 10 },
+            { key: 'timestamp', header: 'التاريخ / Date', width: 22 }
+        ]
+    },
+    'login-logs': {
+        resource: 'loginLogs',
+        filename: 'login-logs',
+        columns: [
+            { key: 'id', header: 'ID', width: 8 },
+            { key: 'student_id', header: 'رقم الطالب / Student ID', width: 12 },
+            { key: 'name', header: 'الطالب / Student', width: 28 },
+            { key: 'logintime', header: 'الدخول / Login', width: 22 },
+            { key: 'logouttime', header: 'الخروج / Logout', width: 22 },
+            { key: 'logout_reason', header: 'سبب الخروج / Logout reason', width: 14 },
+            { key: 'duration_seconds', header: 'المدة بالثواني / Duration (s)', width: 14 },
+            { key: 'ip_address', header: 'IP', width: 18 },
+            { key: 'user_agent', header: 'المتصفح / User agent', width: 40 }
+        ]
+    }
+};
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const getExport = (name) => EXPORTS[name] || null;
+
+const cellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+// نص يبدأ بـ = أو + أو - أو @ يُنفَّذ كمعادلة في Excel، لذلك نسبقه بـ '
+const escapeCsv = (value) => {
+    let text = String(cellValue(value));
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportAborted = () => Object.assign(new Error('Client closed the connection during export'), { code: 'EXPORT_ABORTED' });
+
+// انتظار تفريغ الرد عند امتلاء الـ buffer (العميل أبطأ من قاعدة البيانات)
+// إغلاق الاتصال لا يطلق drain أبداً، لذلك close / error ينهيان الانتظار بخطأ بدلاً من تعليقه
+const waitForDrain = (output) => new Promise((resolve, reject) => {
+    if (output.destroyed) return reject(exportAborted());
+    if (!output.writableNeedDrain) return resolve();
+
+    const settle = (err) => {
+        output.removeListener('drain', onDrain);
+        output.removeListener('close', onClose);
+        output.removeListener('error', onError);
+        if (err) reject(err);
+        else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(exportAborted());
+    const onError = (err) => settle(err);
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', onError);
+});
+
+const writeCsv = async (rows, columns, output) => {
+    output.write('\uFEFF' + columns.map(c => escapeCsv(c.header)).join(',') + '\r\n');
+    for await (const row of rows) {
+        if (!output.write(columns.map(c => escapeCsv(row[c.key])).join(',') + '\r\n')) {
+            await waitForDrain(output);
+        }
+    }
+    // القراءة تتوقف بصمت إذا أغلق العميل الاتصال، فنتحقق قبل الإنهاء
+    await waitForDrain(output);
+    output.end();
+};
+
+const writeXlsx = async (rows, columns, output, sheetName) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useSharedStrings: false, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName, { views: [{ rightToLeft: true, state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(c => ({ key: c.key, header: c.header, width: c.width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const row of rows) {
+        const values = {};
+        for (const column of columns) {
+            const value = row[column.key];
+            values[column.key] = value instanceof Date || typeof value === 'number' ? value : cellValue(value);
+        }
+        sheet.addRow(values).commit();
+        await waitForDrain(output);
+    }
+    // workbook.commit ينتظر finish الذي لا يأتي من اتصال مغلق
+    await waitForDrain(output);
+    sheet.commit();
+    await workbook.commit();
+};
+
+// تصدير قائمة كاملة (بعد التحقق من الفلاتر عبر listing.parseListQuery) إلى output
+// options.groupScope: نفس نطاق المشرف في القوائم
+const streamExport = async (name, format, value, output, options) => {
+    const definition = getExport(name);
+    const { select, from, where, orderBy, params } = listing.buildListQuery(definition.resource, value, options);
+
+    const client = await pool.connect();
+    const rows = client.query(new QueryStream(`SELECT ${select} FROM ${from} ${where} ${orderBy}`, params, { batchSize: BATCH_SIZE }));
+    // إيقاف القراءة من قاعدة البيانات إذا أغلق العميل الاتصال قبل نهاية الملف
+    let aborted = false;
+    const onClose = () => {
+        if (!output.writableEnded) aborted = true;
+        rows.destroy();
+    };
+    output.on('close', onClose);
+
+    let failed = false;
+    try {
+        if (format === 'csv') {
+            await writeCsv(rows, definition.columns, output);
+        } else {
+            await writeXlsx(rows, definition.columns, output, definition.filename);
+        }
+    } catch (err) {
+        failed = true;
+        throw err;
+    } finally {
+        output.removeListener('close', onClose);
+        // اتصال توقف في منتصف الاستعلام (خطأ أو إغلاق العميل) لا يعود للـ pool
+        client.release(failed || aborted);
+    }
+};
+
+const getFilename = (name, format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    return `${getExport(name).filename}-${date}.${FORMATS[format].extension}`;
+};
+
+module.exports = {
+    FORMATS,
+    getExport,
+    getFilename,
+    streamExport
+};
@@ -0,0 +1,237 @@
+/*
+ * =================================================================================
+ * ANALYTICS.JS - Student Progress Analytics
+ * =================================================================================
+ * ✅ ملخص وتفصيل لكل مادة (المتوسط، الأفضل، أول وآخر درجة، التحسن)
+ * ✅ تطور الدرجات عبر الزمن على فترات يومية أو أسبوعية
+ * ✅ أيام الدراسة المتتالية (streak) من activity_logs
+ * ✅ أضعف المواد والأسئلة لمراجعتها
+ * ✅ النتيجة في الكاش وتُحذف عند كل نتيجة أو نشاط جديد
+ */
+
+const { pool } = require('./database');
+const cache = require('./cache');
+
+const CACHE_TTL = 3600;
+
+// المنطقة الزمنية لحدود اليوم والأسبوع (أيام الدراسة والتطور الزمني)
+const TIMEZONE = process.env.STATS_TIMEZONE || 'UTC';
+
+// عدد الفترات في التطور الزمني لكل نوع
+const BUCKETS = {
+    day: { periods: 30, interval: '1 day' },
+    week: { periods: 12, interval: '1 week' }
+};
+
+const WEAK_SUBJECTS_LIMIT = 3;
+const WEAK_QUESTIONS_LIMIT = 5;
+
+const cacheKey = (studentId, bucket) => `student_stats:${studentId}:${bucket}`;
+
+// المفاتيح معروفة مسبقاً (مفتاح لكل نوع في BUCKETS)، فلا حاجة لـ SCAN على كل مفاتيح Redis
+const invalidateStudentAnalytics = async (studentId) => {
+    for (const bucket of Object.keys(BUCKETS)) {
+        await cache.del(cacheKey(studentId, bucket));
+    }
+};
+
+const getSummary = async (studentId) => {
+    const res = await pool.query(
+        `SELECT
+            ROUND(AVG(score))::int as average_score,
+            MAX(score) as best_score,
+            COUNT(*)::int as total_quizzes,
+            COUNT(DISTINCT subject_id)::int as subjects_attempted
+         FROM quiz_results WHERE student_id = $1`,
+        [studentId]
+    );
+    const row = res.rows[0];
+    return {
+        averageScore: row.average_score || 0,
+        bestScore: row.best_score || 0,
+        totalQuizzes: row.total_quizzes,
+        subjectsAttempted: row.subjects_attempted
+    };
+};
+
+// التحسن = آخر درجة - أول درجة في نفس المادة
+const getSubjectBreakdown = async (studentId) => {
+    const res = await pool.query(
+        `SELECT
+            r.subject_id,
+            sub.title_ar,
+            sub.title_en,
+            COUNT(*)::int as attempts,
+            ROUND(AVG(r.score))::int as average_score,
+            MAX(r.score) as best_score,
+            (ARRAY_AGG(r.score ORDER BY r.created_at ASC, r.id ASC))[1] as first_score,
+            (ARRAY_AGG(r.score ORDER BY r.created_at DESC, r.id DESC))[1] as latest_score,
+            MAX(r.created_at) as last_attempt_at
+         FROM quiz_results r
+         LEFT JOIN subjects sub ON r.subject_id = sub.id
+         WHERE r.student_id = $1
+         GROUP BY r.subject_id, sub.title_ar, sub.title_en, sub.position
+         ORDER BY sub.position ASC NULLS LAST, r.subject_id ASC`,
+        [studentId]
+    );
+    return res.rows.map(row => ({
+        subjectId: row.subject_id,
+        titleAr: row.title_ar,
+        titleEn: row.title_en,
+        attempts: row.attempts,
+        averageScore: row.average_score,
+        bestScore: row.best_score,
+        firstScore: row.first_score,
+        latestScore: row.latest_score,
+        improvement: row.latest_score - row.first_score,
+        lastAttemptAt: row.last_attempt_at
+    }));
+};
+
+const getOverallImprovement = async (studentId) => {
+    const res = await pool.query(
+        `SELECT
+            (ARRAY_AGG(score ORDER BY created_at ASC, id ASC))[1] as first_score,
+            (ARRAY_AGG(score ORDER BY created_at DESC, id DESC))[1] as latest_score
+         FROM quiz_results WHERE student_id = $1`,
+        [studentId]
+    );
+    const { first_score: firstScore, latest_score: latestScore } = res.rows[0];
+    if (firstScore === null) return null;
+    return { firstScore, latestScore, delta: latestScore - firstScore };
+};
+
+// كل الفترات الأخيرة حتى الفارغة منها (attempts = 0) ليسهل رسمها
+const getTrend = async (studentId, bucket) => {
+    const { periods, interval } = BUCKETS[bucket];
+    const res = await pool.query(
+        `WITH periods AS (
+            SELECT generate_series(
+                date_trunc($2, NOW() AT TIME ZONE $4) - ($3 - 1) * $5::interval,
+                date_trunc($2, NOW() AT TIME ZONE $4),
+                $5::interval
+            ) as period
+         )
+         SELECT
+            to_char(p.period, 'YYYY-MM-DD') as period,
+            COUNT(r.id)::int as attempts,
+            ROUND(AVG(r.score))::int as average_score,
+            MAX(r.score) as best_score
+         FROM periods p
+         LEFT JOIN quiz_results r
+            ON r.student_id = $1
+            AND date_trunc($2, r.created_at AT TIME ZONE $4) = p.period
+         GROUP BY p.period
+         ORDER BY p.period ASC`,
+        [studentId, bucket, periods, TIMEZONE, interval]
+    );
+    return res.rows.map(row => ({
+        period: row.period,
+        attempts: row.attempts,
+        averageScore: row.average_score,
+        bestScore: row.best_score
+    }));
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// days: تواريخ YYYY-MM-DD مرتبة تصاعدياً بدون تكرار
+// السلسلة الحالية تُحسب إذا كان آخر يوم دراسة اليوم أو أمس
+const computeStreaks = (days, today) => {
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    for (const day of days) {
+        const time = Date.parse(`${day}T00:00:00Z`);
+        run = previous !== null && time - previous === DAY_MS ? run + 1 : 1;
+        if (run > longest) longest = run;
+        previous = time;
+    }
+
+    const lastDay = days.length ? days[days.length - 1] : null;
+    const sinceLast = lastDay ? (Date.parse(`${today}T00:00:00Z`) - Date.parse(`${lastDay}T00:00:00Z`)) / DAY_MS : null;
+
+    return {
+        current: sinceLast !== null && sinceLast <= 1 ? run : 0,
+        longest,
+        studyDays: days.length,
+        lastStudyDay: lastDay
+    };
+};
+
+const getStreaks = async (studentId) => {
+    const res = await pool.query(
+        `SELECT DISTINCT to_char(timestamp AT TIME ZONE $2, 'YYYY-MM-DD') as day
+         FROM activity_logs WHERE student_id = $1
+         ORDER BY day ASC`,
+        [studentId, TIMEZONE]
+    );
+    const todayRes = await pool.query(`SELECT to_char(NOW() AT TIME ZONE $1, 'YYYY-MM-DD') as today`, [TIMEZONE]);
+    return computeStreaks(res.rows.map(row => row.day), todayRes.rows[0].today);
+};
+
+// الأسئلة التي أخطأ فيها الطالب مرة على الأقل، الأقل نسبة صحيحة أولاً
+const getWeakQuestions = async (studentId) => {
+    const res = await pool.query(
+        `SELECT
+            qa.question_id,
+            q.text,
+            qz.id as quiz_id,
+            qz.title as quiz_title,
+            qz.subject_id,
+            COUNT(*)::int as answered,
+            COUNT(*) FILTER (WHERE qa.is_correct)::int as correct
+         FROM quiz_answers qa
+         JOIN questions q ON qa.question_id = q.id
+         JOIN quizzes qz ON q.quiz_id = qz.id
+         WHERE qa.student_id = $1
+         GROUP BY qa.question_id, q.text, qz.id, qz.title, qz.subject_id
+         HAVING COUNT(*) FILTER (WHERE NOT qa.is_correct) > 0
+         ORDER BY COUNT(*) FILTER (WHERE qa.is_correct)::float / COUNT(*) ASC, COUNT(*) DESC, qa.question_id ASC
+         LIMIT $2`,
+        [studentId, WEAK_QUESTIONS_LIMIT]
+    );
+    return res.rows.map(row => ({
+        questionId: row.question_id,
+        text: row.text,
+        quizId: row.quiz_id,
+        quizTitle: row.quiz_title,
+        subjectId: row.subject_id,
+        answered: row.answered,
+        correctRate: Math.round((row.correct / row.answered) * 100)
+    }));
+};
+
+// bucket = 'day' | 'week'
+const getStudentAnalytics = async (studentId, { bucket = 'week' } = {}) => {
+    const key = cacheKey(studentId, bucket);
+    const cached = await cache.getJSON(key);
+    if (cached) return cached;
+
+    const summary = await getSummary(studentId);
+    const subjects = await getSubjectBreakdown(studentId);
+
+    const analytics = {
+        ...summary,
+        improvement: await getOverallImprovement(studentId),
+        subjects,
+        trend: { bucket, points: await getTrend(studentId, bucket) },
+        streaks: await getStreaks(studentId),
+        weakAreas: {
+            subjects: [...subjects]
+                .sort((a, b) => a.averageScore - b.averageScore || b.attempts - a.attempts)
+                .slice(0, WEAK_SUBJECTS_LIMIT)
+                .map(s => ({ subjectId: s.subjectId, titleAr: s.titleAr, titleEn: s.titleEn, averageScore: s.averageScore, attempts: s.attempts })),
+            questions: await getWeakQuestions(studentId)
+        }
+    };
+
+    await cache.setJSON(key, CACHE_TTL, analytics);
+    return analytics;
+};
+
+module.exports = {
+    BUCKETS,
+    getStudentAnalytics,
+    invalidateStudentAnalytics
+};
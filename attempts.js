@@ -0,0 +1,136 @@
+/*
+ * =================================================================================
+ * ATTEMPTS.JS - Timed Quiz Attempts (start → submit)
+ * =================================================================================
+ * ✅ وقت البدء يُسجل على السيرفر مع مهلة الاختبار (expires_at)
+ * ✅ استئناف المحاولة الجارية بعد انقطاع الاتصال
+ * ✅ رفض التسليم المتأخر أو المكرر وحد أقصى للمحاولات لكل مادة
+ */
+
+require('dotenv').config();
+const { pool } = require('./database');
+
+// هامش إضافي لتأخر الشبكة عند التسليم (بالثواني)
+const SUBMIT_GRACE_SECONDS = parseInt(process.env.ATTEMPT_GRACE_SECONDS) || 30;
+
+const ATTEMPT_COLUMNS = `id, student_id, subject_id, quiz_id, status, question_order,
+    started_at, expires_at, submitted_at, result_id`;
+
+const formatAttempt = (attempt) => ({
+    attemptId: attempt.id,
+    subjectId: attempt.subject_id,
+    quizId: attempt.quiz_id,
+    status: attempt.status,
+    startedAt: attempt.started_at,
+    expiresAt: attempt.expires_at,
+    remainingSeconds: attempt.expires_at
+        ? Math.max(0, Math.floor((new Date(attempt.expires_at) - Date.now()) / 1000))
+        : null
+});
+
+const getAttempt = async (attemptId) => {
+    const res = await pool.query(`SELECT ${ATTEMPT_COLUMNS} FROM quiz_attempts WHERE id = $1`, [attemptId]);
+    return res.rows[0] || null;
+};
+
+// بدء محاولة جديدة أو استئناف المحاولة الجارية
+// يرجع { attempt, resumed } أو { error: 'MAX_ATTEMPTS', used, max }
+const startAttempt = async (studentId, { subjectId, quizId = null, timeLimitSeconds = null, maxAttempts = null, questionOrder = null }) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // قفل صف الطالب لمنع بدء محاولتين في نفس اللحظة
+        await client.query('SELECT id FROM students WHERE id = $1 FOR UPDATE', [studentId]);
+
+        const currentRes = await client.query(
+            `SELECT ${ATTEMPT_COLUMNS}, (expires_at IS NOT NULL AND expires_at <= NOW()) as expired
+             FROM quiz_attempts
+             WHERE student_id = $1 AND subject_id = $2 AND quiz_id IS NOT DISTINCT FROM $3 AND status = 'in_progress'`,
+            [studentId, subjectId, quizId]
+        );
+        const current = currentRes.rows[0];
+
+        if (current && !current.expired) {
+            await client.query('COMMIT');
+            return { attempt: current, resumed: true };
+        }
+        if (current) {
+            await client.query("UPDATE quiz_attempts SET status = 'expired' WHERE id = $1", [current.id]);
+        }
+
+        if (maxAttempts) {
+            const usedRes = await client.query(
+                'SELECT COUNT(*) as count FROM quiz_attempts WHERE student_id = $1 AND subject_id = $2',
+                [studentId, subjectId]
+            );
+            const used = parseInt(usedRes.rows[0].count);
+            if (used >= maxAttempts) {
+                await client.query('COMMIT');
+                return { error: 'MAX_ATTEMPTS', used, max: maxAttempts };
+            }
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO quiz_attempts (student_id, subject_id, quiz_id, question_order, expires_at)
+             VALUES ($1, $2, $3, $4, CASE WHEN $5::int IS NULL THEN NULL ELSE NOW() + make_interval(secs => $5::int) END)
+             RETURNING ${ATTEMPT_COLUMNS}`,
+            [studentId, subjectId, quizId, questionOrder ? JSON.stringify(questionOrder) : null, timeLimitSeconds]
+        );
+        await client.query('COMMIT');
+        return { attempt: inserted.rows[0], resumed: false };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+// سبب رفض التسليم (أو null إذا كانت المحاولة صالحة للتسليم)
+const getSubmitError = (attempt, studentId, { subjectId, quizId = null }) => {
+    if (!attempt || attempt.student_id !== studentId) {
+        return { status: 404, error: 'Attempt not found' };
+    }
+    if (attempt.subject_id !== subjectId || (attempt.quiz_id || null) !== quizId) {
+        return { status: 400, error: 'Attempt does not match this quiz' };
+    }
+    if (attempt.status === 'submitted') {
+        return { status: 409, error: 'Attempt already submitted' };
+    }
+    const deadline = attempt.expires_at
+        ? new Date(attempt.expires_at).getTime() + SUBMIT_GRACE_SECONDS * 1000
+        : null;
+    if (attempt.status === 'expired' || (deadline && Date.now() > deadline)) {
+        return { status: 403, error: 'Time limit exceeded' };
+    }
+    return null;
+};
+
+// إغلاق المحاولة داخل نفس الـ transaction الخاصة بحفظ النتيجة
+// الشرط على status يمنع التسليم المكرر حتى مع الطلبات المتزامنة
+const completeAttempt = async (client, attemptId, resultId) => {
+    const res = await client.query(
+        `UPDATE quiz_attempts SET status = 'submitted', submitted_at = NOW(), result_id = $2
+         WHERE id = $1 AND status = 'in_progress'
+           AND (expires_at IS NULL OR expires_at + make_interval(secs => $3) > NOW())`,
+        [attemptId, resultId, SUBMIT_GRACE_SECONDS]
+    );
+    return res.rowCount > 0;
+};
+
+const countAttempts = async (studentId, subjectId) => {
+    const res = await pool.query(
+        'SELECT COUNT(*) as count FROM quiz_attempts WHERE student_id = $1 AND subject_id = $2',
+        [studentId, subjectId]
+    );
+    return parseInt(res.rows[0].count);
+};
+
+module.exports = {
+    formatAttempt,
+    getAttempt,
+    startAttempt,
+    getSubmitError,
+    completeAttempt,
+    countAttempts
+};
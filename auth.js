@@ -0,0 +1,89 @@
+/*
+ * =================================================================================
+ * AUTH.JS - Admin Authentication (JWT + Roles)
+ * =================================================================================
+ * ✅ إصدار Access Token قصير العمر و Refresh Token أطول عمراً
+ * ✅ Middleware للتحقق من التوكن وصلاحيات الأدوار (superadmin > admin > viewer)
+ */
+
+require('dotenv').config();
+const jwt = require('jsonwebtoken');
+const { pool } = require('./database');
+// غياب JWT_SECRET يوقف التشغيل (انظر config.js)
+const { JWT_SECRET } = require('./config');
+
+const ACCESS_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '2h';
+const REFRESH_TOKEN_TTL = process.env.ADMIN_REFRESH_TOKEN_TTL || '7d';
+
+// ترتيب الأدوار: كل دور يملك صلاحيات الأدوار الأدنى منه
+const ADMIN_ROLES = ['viewer', 'admin', 'superadmin'];
+
+const signAdminTokens = (admin) => {
+    const payload = { sub: admin.id, username: admin.username, role: admin.role };
+    const accessToken = jwt.sign({ ...payload, type: 'access' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    const refreshToken = jwt.sign({ sub: admin.id, type: 'refresh' }, JWT_SECRET, { expiresIn: REFRESH_TOKEN_TTL });
+    const { exp } = jwt.decode(accessToken);
+
+    return {
+        accessToken,
+        refreshToken,
+        expiresAt: new Date(exp * 1000).toISOString()
+    };
+};
+
+// يرجع الـ payload أو null إذا كان التوكن غير صالح أو من نوع آخر
+const verifyAdminToken = (token, type) => {
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        return payload.type === type ? payload : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+const findAdminById = async (adminId) => {
+    const res = await pool.query('SELECT id, username, role FROM admins WHERE id = $1', [adminId]);
+    return res.rows[0] || null;
+};
+
+// ✅ Middleware: التحقق من توكن الإدارة
+// نعيد قراءة المشرف من قاعدة البيانات حتى يسري الحذف وتغيير الدور فوراً
+const authenticateAdmin = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!token) return res.status(401).json({ error: 'Missing admin token' });
+
+    const payload = verifyAdminToken(token, 'access');
+    if (!payload) return res.status(401).json({ error: 'Invalid or expired token' });
+
+    try {
+        const admin = await findAdminById(payload.sub);
+        if (!admin) return res.status(401).json({ error: 'Admin no longer exists' });
+
+        req.admin = admin;
+        next();
+    } catch (err) {
+        console.error('Error authenticating admin:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// ✅ Middleware: اشتراط دور أدنى (يُستخدم بعد authenticateAdmin)
+const requireRole = (minRole) => {
+    const minLevel = ADMIN_ROLES.indexOf(minRole);
+    return (req, res, next) => {
+        if (!req.admin || ADMIN_ROLES.indexOf(req.admin.role) < minLevel) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    };
+};
+
+module.exports = {
+    ADMIN_ROLES,
+    signAdminTokens,
+    verifyAdminToken,
+    findAdminById,
+    authenticateAdmin,
+    requireRole
+};
@@ -1,15 +1,26 @@
 /*
  * =================================================================================
- * CACHE.JS - Redis Connection Manager
+ * CACHE.JS - Redis Connection Manager (Memory Fallback, JSON, Counters, Tags)
  * =================================================================================
- * 🔥 تم تطبيق الإصلاحات الحرجة للمشاكل التالية:
- * 1. مشكلة Redis Connection يفشل أحياناً - تم إضافة Fallback Memory Cache و Retry Logic أقوى (حتى 20 محاولة).
- * 2. تم استبدال `module.exports` ليصدر الدوال الآمنة (safeGet, safeSetEx, safeDel) بدلاً من client.
+ * ✅ كل المفاتيح تحت بادئة واحدة CACHE_PREFIX (افتراضياً tawal:) لمشاركة Redis بأمان
+ * ✅ Fallback للذاكرة بحد أقصى للعناصر (LRU) وصلاحية صحيحة لكل مفتاح (بدون setTimeout)
+ * ✅ getJSON / setJSON و wrap(key, ttl, fn) بدلاً من تكرار get + parse + set في كل مكان
+ * ✅ incr ذري مع TTL للعدادات (حدود الرسائل والدخول و OTP) بدون سباق القراءة ثم الكتابة
+ * ✅ delIfEquals ذري لاستهلاك قيمة مرة واحدة فقط (رموز OTP) حتى مع الطلبات المتزامنة
+ * ✅ إبطال بنمط (delPattern) أو بوسم (tags + invalidateTag)
+ * ✅ وسوم الذاكرة تُنظف مع حذف مفاتيحها أو انتهائها أو طردها (لا تنمو بلا حد)
+ * ✅ isReady يصبح true عند حدث ready (وليس connect) ويعود false عند الانقطاع
  */
 require('dotenv').config();
 const redis = require('redis');
-// ✅ إضافة Fallback Memory Cache
-let memoryCache = {};
+
+const KEY_PREFIX = process.env.CACHE_PREFIX || 'tawal:';
+const MEMORY_MAX_ENTRIES = parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES) || 5000;
+
+// مجموعة الوسم تعيش يوماً على الأقل (وأطول إذا كان أحد مفاتيحها أطول)
+const TAG_MIN_TTL = 86400;
+const SCAN_BATCH = 200;
+
 const redisClient = redis.createClient({
     url: process.env.REDIS_URL,
     socket: {
@@ -30,10 +41,14 @@ redisClient.on('error', (err) => {
     console.error('❌ Redis Error:', err.message);
     redisReady = false;
 });
-redisClient.on('connect', () => {
+// connect = فُتح الاتصال فقط، ready = العميل جاهز لتنفيذ الأوامر
+redisClient.on('ready', () => {
     console.log('✅ Redis Connected!');
     redisReady = true;
 });
+redisClient.on('end', () => {
+    redisReady = false;
+});
 // بدء الاتصال فوراً عند تشغيل الملف مع معالجة الخطأ
 (async () => {
     try {
@@ -43,51 +58,237 @@ redisClient.on('connect', () => {
         redisReady = false;
     }
 })();
-// ✅ Wrapper Functions مع Fallback للذاكرة
-const safeGet = async (key) => {
-    // إذا لم يكن Redis جاهزاً، استخدم الذاكرة
-    if (!redisReady) return memoryCache[key] || null;
-    try {
-        return await redisClient.get(key);
-    } catch (e) {
-        // في حالة فشل عملية Get مع Redis، نستخدم الذاكرة كـ Fallback
-        return memoryCache[key] || null;
+
+const prefixKey = (key) => `${KEY_PREFIX}${key}`;
+const tagKey = (tag) => prefixKey(`tag:${tag}`);
+
+// ✅ Fallback Memory Cache: Map بترتيب الاستخدام (الأقدم أولاً) و expiresAt لكل مفتاح
+// كل عنصر يحمل وسومه (entry.tags) ليُزال من memoryTags عند حذفه
+const memory = new Map();
+const memoryTags = new Map();
+
+const memoryDel = (key) => {
+    const entry = memory.get(key);
+    if (!entry) return;
+    memory.delete(key);
+    for (const tag of entry.tags) {
+        const keys = memoryTags.get(tag);
+        if (!keys) continue;
+        keys.delete(key);
+        if (keys.size === 0) memoryTags.delete(tag);
+    }
+};
+
+const memoryGet = (key) => {
+    const entry = memory.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        memoryDel(key);
+        return null;
     }
+    // نقل المفتاح لآخر القائمة (الأحدث استخداماً)
+    memory.delete(key);
+    memory.set(key, entry);
+    return entry.value;
 };
-const safeSetEx = async (key, seconds, value) => {
-    // إذا لم يكن Redis جاهزاً، استخدم الذاكرة
-    if (!redisReady) {
-        memoryCache[key] = value;
-        // قم بإزالة المفتاح من الذاكرة بعد انتهاء الصلاحية
-        setTimeout(() => delete memoryCache[key], seconds * 1000);
-        return 'OK';
+
+// الكتابة فوق مفتاح موجود تُبقي وسومه (كما تبقى عضويته في مجموعة الوسم في Redis)
+const memorySet = (key, seconds, value) => {
+    const previous = memory.get(key);
+    memory.delete(key);
+    memory.set(key, {
+        value: String(value),
+        expiresAt: Date.now() + seconds * 1000,
+        tags: previous ? previous.tags : new Set()
+    });
+    while (memory.size > MEMORY_MAX_ENTRIES) {
+        memoryDel(memory.keys().next().value);
     }
+};
+
+const memoryIncr = (key, seconds) => {
+    const entry = memory.get(key);
+    const alive = entry && entry.expiresAt > Date.now();
+    const count = (alive ? parseInt(entry.value) || 0 : 0) + 1;
+    // الصلاحية تبدأ من أول زيادة ولا تتمدد مع كل زيادة
+    const remaining = alive ? (entry.expiresAt - Date.now()) / 1000 : seconds;
+    memorySet(key, remaining, count);
+    return count;
+};
+
+// نمط glob بسيط (* و ?) كما في Redis MATCH
+const globToRegex = (pattern) => new RegExp(
+    '^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$'
+);
+
+const memoryDelPattern = (pattern) => {
+    const regex = globToRegex(pattern);
+    let count = 0;
+    for (const key of [...memory.keys()]) {
+        if (regex.test(key)) {
+            memoryDel(key);
+            count++;
+        }
+    }
+    return count;
+};
+
+// عند غياب Redis أو فشل الأمر: نفس العملية على الذاكرة
+const withFallback = async (redisOp, memoryOp) => {
+    if (!redisReady) return memoryOp();
     try {
-        return await redisClient.setEx(key, seconds, value);
+        return await redisOp();
     } catch (e) {
-        // في حالة فشل عملية SetEx مع Redis، نستخدم الذاكرة كـ Fallback
-        memoryCache[key] = value;
-        return 'OK';
+        console.error('❌ Redis command failed, using memory cache:', e.message);
+        return memoryOp();
     }
 };
-const safeDel = async (key) => {
-    // إذا لم يكن Redis جاهزاً، احذف من الذاكرة فقط
-    if (!redisReady) {
-        delete memoryCache[key];
+
+const get = (key) => withFallback(
+    () => redisClient.get(prefixKey(key)),
+    () => memoryGet(prefixKey(key))
+);
+
+const addToTags = async (key, seconds, tags) => {
+    for (const tag of tags) {
+        await withFallback(
+            () => redisClient.multi()
+                .sAdd(tagKey(tag), prefixKey(key))
+                .expire(tagKey(tag), Math.max(seconds, TAG_MIN_TTL))
+                .exec(),
+            () => {
+                const entry = memory.get(prefixKey(key));
+                if (!entry) return;
+                entry.tags.add(tag);
+                if (!memoryTags.has(tag)) memoryTags.set(tag, new Set());
+                memoryTags.get(tag).add(prefixKey(key));
+            }
+        );
+    }
+};
+
+// options.tags: وسوم للإبطال الجماعي لاحقاً عبر invalidateTag
+const setEx = async (key, seconds, value, { tags = [] } = {}) => {
+    const result = await withFallback(
+        () => redisClient.setEx(prefixKey(key), seconds, String(value)),
+        () => {
+            memorySet(prefixKey(key), seconds, value);
+            return 'OK';
+        }
+    );
+    if (tags.length > 0) await addToTags(key, seconds, tags);
+    return result;
+};
+
+const del = (key) => withFallback(
+    () => redisClient.del(prefixKey(key)),
+    () => {
+        memoryDel(prefixKey(key));
         return 1;
     }
+);
+
+// قيمة JSON أو null (القيمة التالفة تُحذف وتُعامل كغير موجودة)
+const getJSON = async (key) => {
+    const raw = await get(key);
+    if (raw === null || raw === undefined) return null;
     try {
-        return await redisClient.del(key);
+        return JSON.parse(raw);
     } catch (e) {
-        // في حالة فشل عملية Del مع Redis، احذف من الذاكرة كـ Fallback
-        delete memoryCache[key];
+        await del(key);
+        return null;
+    }
+};
+
+const setJSON = (key, seconds, value, options) => setEx(key, seconds, JSON.stringify(value), options);
+
+// زيادة ذرية: يرجع العدد بعد الزيادة، والصلاحية تُضبط عند أول زيادة فقط (نافذة ثابتة)
+const INCR_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('EXPIRE', KEYS[1], ARGV[1]) end
+return count`;
+
+const incr = (key, seconds) => withFallback(
+    () => redisClient.eval(INCR_SCRIPT, { keys: [prefixKey(key)], arguments: [String(seconds)] }),
+    () => memoryIncr(prefixKey(key), seconds)
+);
+
+// حذف المفتاح فقط إذا كانت قيمته تساوي value، في خطوة واحدة: يرجع true لطلب واحد فقط
+const DEL_IF_EQUALS_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0`;
+
+const delIfEquals = async (key, value) => Number(await withFallback(
+    () => redisClient.eval(DEL_IF_EQUALS_SCRIPT, { keys: [prefixKey(key)], arguments: [String(value)] }),
+    () => {
+        if (memoryGet(prefixKey(key)) !== String(value)) return 0;
+        memoryDel(prefixKey(key));
         return 1;
     }
+)) === 1;
+
+// قيمة العداد الحالية (0 إذا لم يبدأ)
+const getCount = async (key) => parseInt(await get(key)) || 0;
+
+// حذف كل المفاتيح المطابقة لنمط (بدون البادئة)، مثل: student_stats:15:*
+const delPattern = (pattern) => withFallback(
+    async () => {
+        let count = 0;
+        let batch = [];
+        for await (const key of redisClient.scanIterator({ MATCH: prefixKey(pattern), COUNT: SCAN_BATCH })) {
+            batch.push(key);
+            if (batch.length >= SCAN_BATCH) {
+                count += await redisClient.del(batch);
+                batch = [];
+            }
+        }
+        if (batch.length > 0) count += await redisClient.del(batch);
+        return count;
+    },
+    () => memoryDelPattern(prefixKey(pattern))
+);
+
+// حذف كل المفاتيح التي خُزنت بهذا الوسم
+const invalidateTag = (tag) => withFallback(
+    async () => {
+        const keys = await redisClient.sMembers(tagKey(tag));
+        await redisClient.del([...keys, tagKey(tag)]);
+        return keys.length;
+    },
+    () => {
+        // نسخة من المجموعة لأن memoryDel يعدّلها أثناء المرور عليها
+        const keys = [...(memoryTags.get(tag) || [])];
+        for (const key of keys) memoryDel(key);
+        memoryTags.delete(tag);
+        return keys.length;
+    }
+);
+
+// من الكاش إن وُجد، وإلا fn() ثم تخزين النتيجة (undefined لا يُخزن)
+const wrap = async (key, seconds, fn, options) => {
+    const cached = await getJSON(key);
+    if (cached !== null) return cached;
+
+    const value = await fn();
+    if (value !== undefined) await setJSON(key, seconds, value, options);
+    return value;
 };
-// ✅ تصدير الدوال الجديدة بدلاً من العميل نفسه
+
 module.exports = {
-    get: safeGet,
-    setEx: safeSetEx,
-    del: safeDel,
-    isReady: () => redisReady
+    get,
+    setEx,
+    del,
+    getJSON,
+    setJSON,
+    incr,
+    delIfEquals,
+    getCount,
+    delPattern,
+    invalidateTag,
+    wrap,
+    // المفتاح الكامل بالبادئة، لمن يستخدم العميل مباشرة
+    key: prefixKey,
+    isReady: () => redisReady,
+    // العميل نفسه للعمليات غير المغلفة (قوائم طابور البريد)، null إذا لم يكن Redis جاهزاً
+    getClient: () => (redisReady ? redisClient : null)
 };
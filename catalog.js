@@ -0,0 +1,232 @@
+/*
+ * =================================================================================
+ * CATALOG.JS - Subjects, Units & Lessons
+ * =================================================================================
+ * ✅ كتالوج المواد بعناوين عربية/إنجليزية وترتيب وصورة غلاف
+ * ✅ وحدات ودروس داخل كل مادة
+ * ✅ التحقق من أن subject_id في النتائج والنشاط يشير لمادة موجودة
+ * ✅ حذف مادة/وحدة/درس يحذف ملفات موادها التعليمية من التخزين
+ */
+
+const { pool } = require('./database');
+const cache = require('./cache');
+const quizStatus = require('./quizStatus');
+const materials = require('./materials');
+
+const CACHE_KEY = 'subjects_catalog';
+const CACHE_TTL = 600;
+
+const SUBJECT_COLUMNS = `id, title_ar, title_en, description, position, cover_image_url, is_published, created_at, updated_at`;
+
+const invalidateCatalog = async () => {
+    await cache.del(CACHE_KEY);
+};
+
+// كل المواد (المنشورة وغير المنشورة) مرتبة، من الكاش إن وُجد
+const listSubjects = async ({ publishedOnly = false } = {}) => {
+    const subjects = await cache.wrap(CACHE_KEY, CACHE_TTL, async () => {
+        const res = await pool.query(`SELECT ${SUBJECT_COLUMNS} FROM subjects ORDER BY position ASC, id ASC`);
+        return res.rows;
+    });
+    return publishedOnly ? subjects.filter(s => s.is_published) : subjects;
+};
+
+const getSubject = async (subjectId) => {
+    const subjects = await listSubjects();
+    return subjects.find(s => s.id === subjectId) || null;
+};
+
+// البحث بالمعرّف أو بالعنوان العربي/الإنجليزي (للعملاء القدامى الذين يرسلون اسم المادة)
+const findSubjectByIdOrTitle = async (value) => {
+    if (!value) return null;
+    const needle = value.trim().toLowerCase();
+    const subjects = await listSubjects();
+    return subjects.find(s =>
+        s.id === value ||
+        (s.title_ar && s.title_ar.trim().toLowerCase() === needle) ||
+        (s.title_en && s.title_en.trim().toLowerCase() === needle)
+    ) || null;
+};
+
+// المادة مع وحداتها ودروسها
+const getSubjectTree = async (subjectId) => {
+    const subject = await getSubject(subjectId);
+    if (!subject) return null;
+
+    const unitsRes = await pool.query(
+        'SELECT id, title_ar, title_en, position FROM units WHERE subject_id = $1 ORDER BY position ASC, id ASC',
+        [subjectId]
+    );
+    const lessonsRes = await pool.query(
+        `SELECT l.id, l.unit_id, l.title_ar, l.title_en, l.content, l.position
+         FROM lessons l
+         JOIN units u ON l.unit_id = u.id
+         WHERE u.subject_id = $1
+         ORDER BY l.position ASC, l.id ASC`,
+        [subjectId]
+    );
+
+    return {
+        ...subject,
+        units: unitsRes.rows.map(unit => ({
+            ...unit,
+            lessons: lessonsRes.rows.filter(l => l.unit_id === unit.id)
+        }))
+    };
+};
+
+const createSubject = async ({ id, titleAr, titleEn, description, position, coverImageUrl, isPublished }) => {
+    const res = await pool.query(
+        `INSERT INTO subjects (id, title_ar, title_en, description, position, cover_image_url, is_published)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING ${SUBJECT_COLUMNS}`,
+        [id, titleAr, titleEn || null, description || null, position, coverImageUrl || null, isPublished]
+    );
+    if (res.rows.length === 0) return null;
+
+    // كل مادة جديدة تظهر في /api/quiz-status
+    await quizStatus.ensureSubjectStatus(id);
+    await invalidateCatalog();
+    return res.rows[0];
+};
+
+const updateSubject = async (subjectId, { titleAr, titleEn, description, position, coverImageUrl, isPublished }) => {
+    const res = await pool.query(
+        `UPDATE subjects SET
+            title_ar = COALESCE($1, title_ar),
+            title_en = COALESCE($2, title_en),
+            description = COALESCE($3, description),
+            position = COALESCE($4, position),
+            cover_image_url = COALESCE($5, cover_image_url),
+            is_published = COALESCE($6, is_published),
+            updated_at = NOW()
+         WHERE id = $7
+         RETURNING ${SUBJECT_COLUMNS}`,
+        [titleAr, titleEn, description, position, coverImageUrl, isPublished, subjectId]
+    );
+    await invalidateCatalog();
+    return res.rows[0] || null;
+};
+
+// الاختبارات والمحاولات والنتائج لا ترتبط بالمادة بمفتاح أجنبي، لذا نعدّها يدوياً
+const countSubjectDependents = async (subjectId) => {
+    const res = await pool.query(
+        `SELECT
+            (SELECT COUNT(*) FROM quizzes WHERE subject_id = $1)::int as quizzes,
+            (SELECT COUNT(*) FROM quiz_attempts WHERE subject_id = $1)::int as attempts,
+            (SELECT COUNT(*) FROM quiz_results WHERE subject_id = $1)::int as results`,
+        [subjectId]
+    );
+    return res.rows[0];
+};
+
+// يرجع null إذا لم توجد المادة، و { error, dependents } إذا كان لها اختبارات أو نتائج
+const deleteSubject = async (subjectId) => {
+    if (!(await getSubject(subjectId))) return null;
+
+    const dependents = await countSubjectDependents(subjectId);
+    if (dependents.quizzes > 0 || dependents.attempts > 0 || dependents.results > 0) {
+        return { error: 'Subject has quizzes or results, unpublish it instead', dependents };
+    }
+
+    await materials.removeMaterialFiles({ subjectId });
+    const res = await pool.query('DELETE FROM subjects WHERE id = $1', [subjectId]);
+    if (res.rowCount === 0) return null;
+
+    await quizStatus.removeSubjectStatus(subjectId);
+    await invalidateCatalog();
+    return { deleted: true };
+};
+
+const createUnit = async (subjectId, { titleAr, titleEn, position }) => {
+    const res = await pool.query(
+        `INSERT INTO units (subject_id, title_ar, title_en, position) VALUES ($1, $2, $3, $4)
+         RETURNING id, subject_id, title_ar, title_en, position`,
+        [subjectId, titleAr, titleEn || null, position]
+    );
+    return res.rows[0];
+};
+
+const updateUnit = async (unitId, { titleAr, titleEn, position }) => {
+    const res = await pool.query(
+        `UPDATE units SET
+            title_ar = COALESCE($1, title_ar),
+            title_en = COALESCE($2, title_en),
+            position = COALESCE($3, position)
+         WHERE id = $4
+         RETURNING id, subject_id, title_ar, title_en, position`,
+        [titleAr, titleEn, position, unitId]
+    );
+    return res.rows[0] || null;
+};
+
+const deleteUnit = async (unitId) => {
+    await materials.removeMaterialFiles({ unitId });
+    const res = await pool.query('DELETE FROM units WHERE id = $1', [unitId]);
+    return res.rowCount > 0;
+};
+
+const createLesson = async (unitId, { titleAr, titleEn, content, position }) => {
+    const res = await pool.query(
+        `INSERT INTO lessons (unit_id, title_ar, title_en, content, position) VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, unit_id, title_ar, title_en, content, position`,
+        [unitId, titleAr, titleEn || null, content || null, position]
+    );
+    return res.rows[0];
+};
+
+const updateLesson = async (lessonId, { titleAr, titleEn, content, position }) => {
+    const res = await pool.query(
+        `UPDATE lessons SET
+            title_ar = COALESCE($1, title_ar),
+            title_en = COALESCE($2, title_en),
+            content = COALESCE($3, content),
+            position = COALESCE($4, position)
+         WHERE id = $5
+         RETURNING id, unit_id, title_ar, title_en, content, position`,
+        [titleAr, titleEn, content, position, lessonId]
+    );
+    return res.rows[0] || null;
+};
+
+const deleteLesson = async (lessonId) => {
+    await materials.removeMaterialFiles({ lessonId });
+    const res = await pool.query('DELETE FROM lessons WHERE id = $1', [lessonId]);
+    return res.rowCount > 0;
+};
+
+const getUnit = async (unitId) => {
+    const res = await pool.query('SELECT id, subject_id, title_ar, title_en, position FROM units WHERE id = $1', [unitId]);
+    return res.rows[0] || null;
+};
+
+// الدرس مع المادة التي ينتمي إليها
+const getLesson = async (lessonId) => {
+    const res = await pool.query(
+        `SELECT l.id, l.unit_id, u.subject_id, l.title_ar, l.title_en, l.position
+         FROM lessons l
+         JOIN units u ON l.unit_id = u.id
+         WHERE l.id = $1`,
+        [lessonId]
+    );
+    return res.rows[0] || null;
+};
+
+module.exports = {
+    listSubjects,
+    getSubject,
+    findSubjectByIdOrTitle,
+    getSubjectTree,
+    createSubject,
+    updateSubject,
+    deleteSubject,
+    getUnit,
+    createUnit,
+    updateUnit,
+    deleteUnit,
+    getLesson,
+    createLesson,
+    updateLesson,
+    deleteLesson
+};
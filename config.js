@@ -0,0 +1,30 @@
+/*
+ * =================================================================================
+ * CONFIG.JS - Required Secrets
+ * =================================================================================
+ * ✅ كل مفتاح سري يُقرأ مرة واحدة عند تحميل الملف
+ * ✅ غياب المفتاح يوقف التشغيل، إلا مع NODE_ENV=development صراحةً
+ * ✅ في التطوير: مفتاح عشوائي لكل تشغيل (لا مفاتيح ثابتة داخل الكود)
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+const requireSecret = (name) => {
+    if (process.env[name]) return process.env[name];
+
+    if (process.env.NODE_ENV === 'development') {
+        console.warn(`⚠️ [Config] ${name} is not set, using a random key for this process only`);
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    console.error(`❌ [Config] MISSING: ${name} in environment variables!`);
+    process.exit(1);
+};
+
+module.exports = {
+    // توقيع توكنات الإدارة
+    JWT_SECRET: requireSecret('JWT_SECRET'),
+    // HMAC رموز OTP (مفتاح منفصل: تسريب أحدهما لا يكشف الآخر)
+    OTP_SECRET: requireSecret('OTP_SECRET')
+};
@@ -0,0 +1,14 @@
+/*
+ * =================================================================================
+ * CONSTANTS.JS - Shared Fixed Values
+ * =================================================================================
+ * ✅ قيم ثابتة تحتاجها أكثر من طبقة (قاعدة البيانات، التحقق، المنطق)
+ * ✅ بدون أي require، فلا تعتمد قاعدة البيانات على طبقة Joi أو العكس
+ */
+
+// أسباب حذف الحساب: رموز ثابتة فقط، فسجل الحذف لا يحتوي نصاً يكتبه الطالب
+const DELETION_REASONS = ['not_useful', 'privacy', 'too_many_emails', 'duplicate_account', 'graduated', 'other'];
+
+module.exports = {
+    DELETION_REASONS
+};
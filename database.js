@@ -6,12 +6,38 @@
 
 require('dotenv').config();
 const { Pool } = require('pg');
+const { DELETION_REASONS } = require('./constants');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: { rejectUnauthorized: false }
 });
 
+// تعديل بيانات يُنفذ مرة واحدة فقط: اسمه يُسجل في schema_migrations داخل نفس الـ transaction
+async function runOnce(client, name, migrate) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            name TEXT PRIMARY KEY,
+            applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('BEGIN');
+    try {
+        const claimed = await client.query(
+            'INSERT INTO schema_migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING RETURNING name',
+            [name]
+        );
+        if (claimed.rows.length > 0) {
+            await migrate();
+            console.log(`🔧 [DB] Migration applied: ${name}`);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+}
+
 async function initializeDatabase() {
     const client = await pool.connect();
     try {
@@ -29,6 +55,48 @@ async function initializeDatabase() {
                 isblocked BOOLEAN DEFAULT FALSE
             )
         `);
+        await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS blocked_reason TEXT');
+        await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS blocked_at TIMESTAMPTZ');
+        await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS leaderboard_hidden BOOLEAN DEFAULT FALSE');
+        // الصورة الشخصية (المفتاح والمحول لحذف الملف من التخزين)
+        await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS avatar_url TEXT');
+        await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS avatar_key TEXT');
+        await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS avatar_provider VARCHAR(20)');
+        await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ');
+        await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS last_seen TIMESTAMPTZ');
+
+        // 1.1 سجل تدقيق تعديلات بيانات الطالب
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS student_audit_log (
+                id SERIAL PRIMARY KEY,
+                student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+                actor_type VARCHAR(20) NOT NULL,
+                actor TEXT,
+                action VARCHAR(50) NOT NULL,
+                changes JSONB DEFAULT '{}'::jsonb,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_student_audit_student ON student_audit_log(student_id, created_at DESC)');
+
+        // 1.2 سجل حذف الحسابات (بدون أي بيانات تعرّف الطالب)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS account_deletions (
+                id SERIAL PRIMARY KEY,
+                initiated_by VARCHAR(20) NOT NULL,
+                reason TEXT,
+                account_age_days INTEGER,
+                quiz_results INTEGER DEFAULT 0,
+                messages INTEGER DEFAULT 0,
+                activity_logs INTEGER DEFAULT 0,
+                deleted_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        // السبب كان نصاً حراً: نحذف أي قيمة ليست من الرموز المعتمدة (مرة واحدة فقط)
+        await runOnce(client, 'account_deletions_reason_codes', () => client.query(
+            'UPDATE account_deletions SET reason = NULL WHERE reason IS NOT NULL AND NOT (reason = ANY($1))',
+            [DELETION_REASONS]
+        ));
         
         // 2. Quiz results table
         await client.query(`
@@ -55,6 +123,10 @@ async function initializeDatabase() {
                 created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        // بيانات رد الإدارة (is_read = قرأتها الإدارة، reply_read = قرأ الطالب الرد)
+        await client.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS replied_at TIMESTAMPTZ');
+        await client.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS replied_by TEXT');
+        await client.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_read BOOLEAN DEFAULT FALSE');
         
         // 4. Login logs table
         await client.query(`
@@ -65,6 +137,14 @@ async function initializeDatabase() {
                 logouttime TIMESTAMPTZ
             )
         `);
+        // ربط السجل بالجلسة لإغلاقه عند الخروج أو انتهاء الصلاحية
+        await client.query('ALTER TABLE login_logs ADD COLUMN IF NOT EXISTS session_id INTEGER');
+        await client.query('ALTER TABLE login_logs ADD COLUMN IF NOT EXISTS ip_address TEXT');
+        await client.query('ALTER TABLE login_logs ADD COLUMN IF NOT EXISTS user_agent TEXT');
+        await client.query('ALTER TABLE login_logs ADD COLUMN IF NOT EXISTS fingerprint TEXT');
+        await client.query('ALTER TABLE login_logs ADD COLUMN IF NOT EXISTS logout_reason VARCHAR(20)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_login_logs_student ON login_logs(student_id, logintime DESC)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_login_logs_session ON login_logs(session_id)');
         
         // 5. Activity logs table (with S!)
         await client.query(`
@@ -77,6 +157,10 @@ async function initializeDatabase() {
                 timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        await client.query('ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS subject_id TEXT');
+        // إحصائيات الطالب (أيام الدراسة والتطور الزمني)
+        await client.query('CREATE INDEX IF NOT EXISTS idx_activity_logs_student ON activity_logs(student_id, timestamp)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_quiz_results_student ON quiz_results(student_id, created_at)');
         
         // 6. Student fingerprints table
         await client.query(`
@@ -98,6 +182,8 @@ async function initializeDatabase() {
                 created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        // الطالب الذي حُظرت البصمة بسببه (عند حظر حسابه مع أجهزته)
+        await client.query('ALTER TABLE blocked_fingerprints ADD COLUMN IF NOT EXISTS student_id INTEGER REFERENCES students(id) ON DELETE SET NULL');
         
         // 8. Quiz status table
         await client.query(`
@@ -109,6 +195,88 @@ async function initializeDatabase() {
                 updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        // نافذة الاختبار المجدولة (اختيارية)
+        await client.query('ALTER TABLE quiz_status ADD COLUMN IF NOT EXISTS opens_at TIMESTAMPTZ');
+        await client.query('ALTER TABLE quiz_status ADD COLUMN IF NOT EXISTS closes_at TIMESTAMPTZ');
+        // إعدادات المحاولات لكل مادة (NULL = بدون حد)
+        await client.query('ALTER TABLE quiz_status ADD COLUMN IF NOT EXISTS max_attempts INTEGER');
+        await client.query('ALTER TABLE quiz_status ADD COLUMN IF NOT EXISTS time_limit_seconds INTEGER');
+
+        // 8.1 Subjects catalog (units → lessons)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS subjects (
+                id TEXT PRIMARY KEY,
+                title_ar TEXT NOT NULL,
+                title_en TEXT,
+                description TEXT,
+                position INTEGER DEFAULT 0,
+                cover_image_url TEXT,
+                is_published BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await client.query(`
+            INSERT INTO subjects (id, title_ar, title_en, position) VALUES
+                ('gis_networks', 'شبكات نظم المعلومات الجغرافية', 'GIS Networks', 1),
+                ('transport', 'جغرافية النقل', 'Transport Geography', 2),
+                ('geo_maps', 'الخرائط الجغرافية', 'Geographic Maps', 3),
+                ('projections', 'مساقط الخرائط', 'Map Projections', 4),
+                ('research', 'مناهج البحث', 'Research Methods', 5),
+                ('surveying_texts', 'نصوص المساحة', 'Surveying Texts', 6),
+                ('arid_lands', 'الأراضي الجافة', 'Arid Lands', 7)
+            ON CONFLICT (id) DO NOTHING
+        `);
+        // صف حالة لكل مادة في الكتالوج
+        await client.query(`
+            INSERT INTO quiz_status (subject_id)
+            SELECT id FROM subjects
+            ON CONFLICT (subject_id) DO NOTHING
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS units (
+                id SERIAL PRIMARY KEY,
+                subject_id TEXT NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+                title_ar TEXT NOT NULL,
+                title_en TEXT,
+                position INTEGER DEFAULT 0,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS lessons (
+                id SERIAL PRIMARY KEY,
+                unit_id INTEGER NOT NULL REFERENCES units(id) ON DELETE CASCADE,
+                title_ar TEXT NOT NULL,
+                title_en TEXT,
+                content TEXT,
+                position INTEGER DEFAULT 0,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // 8.2 Materials (الملف في محول التخزين والبيانات هنا)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS materials (
+                id SERIAL PRIMARY KEY,
+                subject_id TEXT NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+                lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
+                kind VARCHAR(20) NOT NULL,
+                title TEXT NOT NULL,
+                original_name TEXT NOT NULL,
+                mime_type VARCHAR(100) NOT NULL,
+                size_bytes INTEGER NOT NULL,
+                storage_provider VARCHAR(20) NOT NULL,
+                storage_key TEXT NOT NULL,
+                url TEXT,
+                uploaded_by TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_materials_subject ON materials(subject_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_materials_lesson ON materials(lesson_id)');
 
         // 9. Admins Table
         await client.query(`
@@ -134,6 +302,150 @@ async function initializeDatabase() {
                 created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_active_sessions_token ON active_sessions(token)');
+
+        // 11. Question bank (quizzes → questions → choices)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS quizzes (
+                id SERIAL PRIMARY KEY,
+                subject_id TEXT NOT NULL,
+                title TEXT NOT NULL,
+                description TEXT,
+                is_published BOOLEAN DEFAULT FALSE,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS questions (
+                id SERIAL PRIMARY KEY,
+                quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+                text TEXT NOT NULL,
+                explanation TEXT,
+                position INTEGER DEFAULT 0,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS question_choices (
+                id SERIAL PRIMARY KEY,
+                question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+                text TEXT NOT NULL,
+                is_correct BOOLEAN DEFAULT FALSE,
+                position INTEGER DEFAULT 0
+            )
+        `);
+        await client.query('ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS time_limit_seconds INTEGER');
+
+        // 12. Quiz attempts (start → submit)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS quiz_attempts (
+                id SERIAL PRIMARY KEY,
+                student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+                subject_id TEXT NOT NULL,
+                quiz_id INTEGER REFERENCES quizzes(id) ON DELETE SET NULL,
+                status TEXT NOT NULL DEFAULT 'in_progress',
+                question_order JSONB,
+                started_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMPTZ,
+                submitted_at TIMESTAMPTZ,
+                result_id INTEGER REFERENCES quiz_results(id) ON DELETE SET NULL
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_quiz_attempts_student ON quiz_attempts(student_id, subject_id)');
+
+        // 13. Per-question answers (item analysis)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS quiz_answers (
+                id SERIAL PRIMARY KEY,
+                result_id INTEGER NOT NULL REFERENCES quiz_results(id) ON DELETE CASCADE,
+                attempt_id INTEGER REFERENCES quiz_attempts(id) ON DELETE SET NULL,
+                student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+                quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+                question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+                choice_ids INTEGER[] NOT NULL DEFAULT '{}',
+                is_correct BOOLEAN NOT NULL,
+                time_spent_ms INTEGER,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_quiz_answers_question ON quiz_answers(question_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_quiz_answers_result ON quiz_answers(result_id)');
+
+        // 14. Student groups (class / year / semester)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS student_groups (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                kind TEXT NOT NULL DEFAULT 'class',
+                academic_year TEXT,
+                description TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS group_members (
+                group_id INTEGER NOT NULL REFERENCES student_groups(id) ON DELETE CASCADE,
+                student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+                added_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (group_id, student_id)
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_group_members_student ON group_members(student_id)');
+
+        // المشرف المرتبط بمجموعات يرى مجموعاته فقط
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS group_admins (
+                group_id INTEGER NOT NULL REFERENCES student_groups(id) ON DELETE CASCADE,
+                admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+                PRIMARY KEY (group_id, admin_id)
+            )
+        `);
+
+        // قصر المادة / الاختبار على مجموعات (بدون صفوف = متاح للجميع)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS subject_groups (
+                subject_id TEXT NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+                group_id INTEGER NOT NULL REFERENCES student_groups(id) ON DELETE CASCADE,
+                PRIMARY KEY (subject_id, group_id)
+            )
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS quiz_groups (
+                quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+                group_id INTEGER NOT NULL REFERENCES student_groups(id) ON DELETE CASCADE,
+                PRIMARY KEY (quiz_id, group_id)
+            )
+        `);
+
+        // 15. Outbound email log (الطابور والسجل معاً)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS email_log (
+                id SERIAL PRIMARY KEY,
+                to_email TEXT NOT NULL,
+                template VARCHAR(50) NOT NULL,
+                locale VARCHAR(5),
+                vars JSONB,
+                status VARCHAR(20) NOT NULL DEFAULT 'queued',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL DEFAULT 5,
+                provider VARCHAR(20),
+                provider_message_id TEXT,
+                last_error TEXT,
+                last_status_code INTEGER,
+                next_attempt_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                sent_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_email_log_pending ON email_log(status, next_attempt_at)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_email_log_created ON email_log(created_at DESC)');
 
         // Seed default admin
         const adminCheck = await client.query("SELECT * FROM admins WHERE username = 'admin'");
@@ -1,176 +1,204 @@
 /*
  * =================================================================================
- * EMAIL.JS - Version 25.0.2 (FINAL FIX - 100% Working)
+ * EMAIL.JS - Email Transports (SendGrid / SMTP / Outbox)
  * =================================================================================
- * 🔥 تم تطبيق الإصلاحات الحرجة للمشاكل التالية:
- * 1. مشكلة OTP لا يصل أبداً - تم إضافة Fallback Dev Mode لإرجاع الرمز عبر الـ console إذا فشل الإرسال أو لم تتوفر مفاتيح SendGrid في بيئة التطوير.
+ * ✅ محول إرسال قابل للتبديل عبر EMAIL_TRANSPORT: sendgrid | smtp | outbox
+ * ✅ outbox للتطوير والاختبارات: الرسائل تُحفظ في الذاكرة (وفي EMAIL_OUTBOX_DIR إن وُجد)
+ * ✅ محتوى الرسائل من emailTemplates.js (عربي / إنجليزي، HTML + نص)
+ * ✅ الإنتاج يرفض التشغيل بدون مزود بريد حقيقي (outbox للتطوير والاختبارات فقط)
  */
 
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const sgMail = require('@sendgrid/mail');
+const nodemailer = require('nodemailer');
+const { renderTemplate } = require('./emailTemplates');
 
-// التحقق من وجود المتغيرات المطلوبة
-if (!process.env.SENDGRID_API_KEY) {
-    console.error('❌ [SendGrid] MISSING: SENDGRID_API_KEY in environment variables!');
-    console.error('   Add it in Railway Dashboard → Variables');
-    // ⚠️ لا نوقف العملية هنا لكي نسمح بـ Dev Mode Fallback، إلا إذا كنا في الإنتاج
-    if (process.env.NODE_ENV === 'production') {
-        process.exit(1);
+const FROM_NAME = process.env.EMAIL_FROM_NAME || 'Tawal Academy';
+const FROM_EMAIL = process.env.EMAIL_FROM || process.env.SENDGRID_VERIFIED_EMAIL;
+
+const OUTBOX_LIMIT = 100;
+
+// كل محول: { name, send(message) → { messageId } }، ويرمي خطأ فيه statusCode عند الفشل
+
+const sendgridTransport = () => {
+    if (!process.env.SENDGRID_API_KEY) {
+        console.error('❌ [SendGrid] MISSING: SENDGRID_API_KEY in environment variables!');
     }
-}
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY || '');
+
+    return {
+        name: 'sendgrid',
+        send: async (message) => {
+            try {
+                const result = await sgMail.send({
+                    to: message.to,
+                    from: { email: FROM_EMAIL, name: FROM_NAME },
+                    subject: message.subject,
+                    html: message.html,
+                    text: message.text
+                });
+                return { messageId: result[0].headers['x-message-id'] };
+            } catch (error) {
+                const statusCode = error.response ? error.response.statusCode : error.code;
+                if (error.response) {
+                    console.error('   HTTP Status:', statusCode);
+                    console.error('   Response Body:', JSON.stringify(error.response.body, null, 2));
+
+                    // شرح الأخطاء الشائعة
+                    if (statusCode === 401) {
+                        console.error('   🔴 CAUSE: Invalid API Key');
+                        console.error('   💡 FIX: Check SENDGRID_API_KEY in Railway Variables');
+                    } else if (statusCode === 403) {
+                        console.error('   🔴 CAUSE: Email not verified in SendGrid');
+                        console.error('   💡 FIX: Verify sender in SendGrid Dashboard');
+                    } else if (statusCode === 400) {
+                        console.error('   🔴 CAUSE: Invalid email format or blocked recipient');
+                    }
+                }
+                error.statusCode = typeof statusCode === 'number' ? statusCode : undefined;
+                throw error;
+            }
+        }
+    };
+};
 
-if (!process.env.SENDGRID_VERIFIED_EMAIL) {
-    console.error('❌ [SendGrid] MISSING: SENDGRID_VERIFIED_EMAIL in environment variables!');
-    console.error('   Add it in Railway Dashboard → Variables');
-    // ⚠️ لا نوقف العملية هنا لكي نسمح بـ Dev Mode Fallback
-    if (process.env.NODE_ENV === 'production') {
+const smtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            try {
+                const info = await transporter.sendMail({
+                    to: message.to,
+                    from: { address: FROM_EMAIL, name: FROM_NAME },
+                    subject: message.subject,
+                    html: message.html,
+                    text: message.text
+                });
+                return { messageId: info.messageId };
+            } catch (error) {
+                // رموز SMTP (مثل 421 / 450 / 550) بنفس معنى أكواد HTTP تقريباً للمؤقت والدائم
+                error.statusCode = error.responseCode;
+                throw error;
+            }
+        }
+    };
+};
+
+// آخر OUTBOX_LIMIT رسالة في الذاكرة، ونسخة JSON لكل رسالة في EMAIL_OUTBOX_DIR (اختياري)
+const outbox = [];
+let outboxCounter = 0;
+
+const outboxTransport = () => {
+    const dir = process.env.EMAIL_OUTBOX_DIR;
+    if (dir) fs.mkdirSync(dir, { recursive: true });
+
+    return {
+        name: 'outbox',
+        send: async (message) => {
+            const entry = { id: `outbox-${Date.now()}-${++outboxCounter}`, ...message, sentAt: new Date().toISOString() };
+            outbox.push(entry);
+            if (outbox.length > OUTBOX_LIMIT) outbox.shift();
+
+            if (dir) {
+                await fs.promises.writeFile(path.join(dir, `${entry.id}.json`), JSON.stringify(entry, null, 2));
+            }
+            console.log(`📭 [Outbox] ${message.template} → ${message.to}: ${message.subject}`);
+            return { messageId: entry.id };
+        }
+    };
+};
+
+const TRANSPORTS = {
+    sendgrid: sendgridTransport,
+    smtp: smtpTransport,
+    outbox: outboxTransport
+};
+
+const transports = {};
+
+// بدون EMAIL_TRANSPORT: SendGrid إذا وُجد مفتاحه، ثم SMTP، وإلا outbox
+const resolveTransportName = () => {
+    if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+    if (process.env.SENDGRID_API_KEY) return 'sendgrid';
+    if (process.env.SMTP_HOST) return 'smtp';
+    return 'outbox';
+};
+
+// ⚠️ في الإنتاج outbox يعني أن OTP والرسائل لن تصل أبداً، لذا نوقف التشغيل بدلاً من التحذير
+if (process.env.NODE_ENV === 'production') {
+    const name = resolveTransportName();
+    if (name === 'outbox') {
+        console.error('❌ [Email] MISSING: SENDGRID_API_KEY or SMTP_HOST in environment variables (outbox is not allowed in production)!');
+        process.exit(1);
+    }
+    if (!FROM_EMAIL) {
+        console.error('❌ [Email] MISSING: EMAIL_FROM (or SENDGRID_VERIFIED_EMAIL) in environment variables!');
         process.exit(1);
     }
 }
 
-// ضبط API Key (إذا كان موجوداً)
-if (process.env.SENDGRID_API_KEY) {
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-}
-
-
-const sendOTP = async (toEmail, otpCode) => {
-    // 🔥 التعديل 1: إضافة منطق Dev Mode Fallback في حالة عدم وجود المفاتيح
-    // إذا كنا في Dev Mode ولا يوجد SendGrid API Key، نعتبره نجاحاً ونرجع الرمز للكونسول
-    if (process.env.NODE_ENV === 'development' && !process.env.SENDGRID_API_KEY) {
-        console.log('🔐 [DEV MODE] OTP for', toEmail, ':', otpCode);
-        return { success: true, method: 'console', otp: otpCode };
+const getTransport = (name = resolveTransportName()) => {
+    if (!TRANSPORTS[name]) throw new Error(`Unknown email transport: ${name}`);
+    if (name === 'outbox' && process.env.NODE_ENV === 'production') {
+        throw new Error('The outbox transport is not allowed in production');
     }
 
-    console.log(`📧 [SendGrid] Preparing email for ${toEmail}...`);
-    console.log(`   OTP Code: ${otpCode}`);
-    console.log(`   From: ${process.env.SENDGRID_VERIFIED_EMAIL}`);
-
-    const msg = {
-        to: toEmail,
-        from: {
-            email: process.env.SENDGRID_VERIFIED_EMAIL,
-            name: 'Tawal Academy'
-        },
-        subject: '🔐 رمز التحقق - Tawal Academy',
-        html: `
-            <!DOCTYPE html>
-            <html dir="rtl" lang="ar">
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            </head>
-            <body style="margin: 0; padding: 0; font-family: 'Cairo', Arial, sans-serif; background-color: #f4f4f4;">
-                <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-                    <tr>
-                        <td align="center" style="padding: 40px 20px;">
-                            <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-                                
-                                <tr>
-                                    <td style="padding: 30px 40px; text-align: center; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 12px 12px 0 0;">
-                                        <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">
-                                            🎓 Tawal Academy
-                                        </h1>
-                                    </td>
-                                </tr>
-
-                                <tr>
-                                    <td style="padding: 40px;">
-                                        <h2 style="margin: 0 0 20px 0; color: #2c3e50; font-size: 24px; text-align: center;">
-                                            مرحباً بك! 👋
-                                        </h2>
-                                        
-                                        <p style="margin: 0 0 30px 0; color: #666666; font-size: 16px; line-height: 1.6; text-align: center;">
-                                            لإكمال عملية التسجيل، يرجى استخدام رمز التحقق التالي:
-                                        </p>
-
-                                        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-                                            <tr>
-                                                <td align="center" style="padding: 20px 0;">
-                                                    <div style="display: inline-block; background: linear-gradient(135deg, #e8f0fe 0%, #f3e7ff 100%); border: 3px dashed #667eea; border-radius: 12px; padding: 25px 50px;">
-                                                        <span style="font-size: 42px; font-weight: 800; letter-spacing: 12px; color: #667eea; font-family: 'Courier New', monospace;">
-                                                            ${otpCode}
-                                                        </span>
-                                                    </div>
-                                                </td>
-                                            </tr>
-                                        </table>
-
-                                        <p style="margin: 30px 0 0 0; color: #999999; font-size: 14px; text-align: center;">
-                                            ⏰ هذا الرمز صالح لمدة <strong>10 دقائق</strong> فقط
-                                        </p>
-                                    </td>
-                                </tr>
-
-                                <tr>
-                                    <td style="padding: 30px 40px; background-color: #f8f9fa; border-radius: 0 0 12px 12px; text-align: center;">
-                                        <p style="margin: 0 0 10px 0; color: #999999; font-size: 12px;">
-                                            إذا لم تطلب هذا الرمز، يرجى تجاهل هذه الرسالة
-                                        </p>
-                                        <p style="margin: 0; color: #cccccc; font-size: 11px;">
-                                            © 2025 Tawal Academy - جميع الحقوق محفوظة
-                                        </p>
-                                    </td>
-                                </tr>
-
-                            </table>
-                        </td>
-                    </tr>
-                </table>
-            </body>
-            </html>
-        `,
-        text: `
-مرحباً بك في Tawal Academy!
-
-رمز التحقق الخاص بك هو: ${otpCode}
-
-هذا الرمز صالح لمدة 10 دقائق فقط.
-
-إذا لم تطلب هذا الرمز، يرجى تجاهل هذه الرسالة.
-
-© 2025 Tawal Academy
-        `.trim()
-    };
+    if (!transports[name]) {
+        if (name !== 'outbox' && !FROM_EMAIL) {
+            console.error('❌ [Email] MISSING: EMAIL_FROM (or SENDGRID_VERIFIED_EMAIL) in environment variables!');
+        }
+        transports[name] = TRANSPORTS[name]();
+    }
+    return transports[name];
+};
 
+// إرسال قالب: يرجع { success, method, provider, messageId } أو { success: false, provider, error, statusCode, code }
+// أخطاء إعداد المحول أو القالب تُرجع كفشل دائم أيضاً (لا ترمي)، ليتعامل معها الطابور كأي فشل آخر
+const sendTemplate = async (toEmail, template, vars = {}, { locale } = {}) => {
+    let transport = null;
     try {
-        const result = await sgMail.send(msg);
-        
-        console.log('✅ [SendGrid] Email sent successfully!');
-        console.log(`   Status: ${result[0].statusCode}`);
-        console.log(`   Message ID: ${result[0].headers['x-message-id']}`);
-        
-        return { success: true, method: 'email' }; // تغيير قيمة الإرجاع ليتوافق مع server.js
-        
-    } catch (error) {
-        console.error('❌ [SendGrid] Failed to send email!');
-        console.error('   Error:', error.message);
-
-        if (error.response) {
-            console.error('   HTTP Status:', error.response.statusCode);
-            console.error('   Response Body:', JSON.stringify(error.response.body, null, 2));
-            
-            // شرح الأخطاء الشائعة
-            const statusCode = error.response.statusCode;
-            
-            if (statusCode === 401) {
-                console.error('   🔴 CAUSE: Invalid API Key');
-                console.error('   💡 FIX: Check SENDGRID_API_KEY in Railway Variables');
-            } else if (statusCode === 403) {
-                console.error('   🔴 CAUSE: Email not verified in SendGrid');
-                console.error('   💡 FIX: Verify sender in SendGrid Dashboard');
-            } else if (statusCode === 400) {
-                console.error('   🔴 CAUSE: Invalid email format or blocked recipient');
-            }
-        }
-        
-        // 🔥 التعديل 2: إضافة Fallback هنا أيضاً إذا فشل الإرسال ونحن في Dev Mode
-        if (process.env.NODE_ENV === 'development') {
-            return { success: true, method: 'console', otp: otpCode }; // إرجاع الرمز كنجاح في Dev Mode
+        transport = getTransport();
+        const rendered = renderTemplate(template, vars, locale);
+        const { messageId } = await transport.send({ to: toEmail, template, ...rendered });
+        if (transport.name !== 'outbox') {
+            console.log(`✅ [${transport.name}] ${template} email sent to ${toEmail} (Message ID: ${messageId})`);
         }
-        
-        return { success: false }; // تغيير قيمة الإرجاع ليتوافق مع server.js
+        return { success: true, method: transport.name === 'outbox' ? 'outbox' : 'email', provider: transport.name, messageId };
+    } catch (error) {
+        const provider = transport ? transport.name : null;
+        console.error(`❌ [${provider || 'email'}] Failed to send ${template} email to ${toEmail}:`, error.message);
+        return { success: false, provider, error: error.message, statusCode: error.statusCode, code: error.code };
     }
 };
 
-module.exports = { sendOTP };
+const sendOTP = (toEmail, otpCode, options) =>
+    sendTemplate(toEmail, 'otp', { code: otpCode, minutes: 10 }, options);
+
+// ✅ إشعار الطالب برد الإدارة على رسالته
+const sendAdminReply = (toEmail, { studentName, message, reply }, options) =>
+    sendTemplate(toEmail, 'adminReply', { studentName, message, reply }, options);
+
+// ✅ دعوة طالب أُضيف من الإدارة (الاستيراد الجماعي) لتسجيل الدخول بالـ OTP
+const sendInvitation = (toEmail, { studentName }, options) =>
+    sendTemplate(toEmail, 'invitation', { studentName }, options);
+
+module.exports = {
+    getTransport,
+    sendTemplate,
+    sendOTP,
+    sendAdminReply,
+    sendInvitation,
+    getOutbox: () => [...outbox],
+    clearOutbox: () => { outbox.length = 0; }
+};
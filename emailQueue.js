@@ -0,0 +1,284 @@
+/*
+ * =================================================================================
+ * EMAILQUEUE.JS - Outbound Email Queue, Worker & Delivery Log
+ * =================================================================================
+ * ✅ كل رسالة تُسجل في email_log أولاً ثم تُرسل في الخلفية (الـ endpoint لا ينتظر المزود)
+ * ✅ Redis (عبر عميل cache.js) لطابور الجاهز والمؤجل، و Postgres كبديل عند غياب Redis
+ * ✅ إعادة المحاولة بتأخير تصاعدي للأخطاء المؤقتة (429 / 5xx / الشبكة)
+ * ✅ الأخطاء الدائمة أو استنفاد المحاولات → dead (dead-letter) مع إمكانية إعادة الإرسال من الإدارة
+ */
+
+const { pool } = require('./database');
+const cache = require('./cache');
+const email = require('./email');
+
+// العميل المباشر لا يضيف بادئة cache.js، لذا نضيفها هنا
+const READY_KEY = cache.key('email_queue:ready');
+const DELAYED_KEY = cache.key('email_queue:delayed');
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 3600;
+const WORKER_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS) || 2000;
+const BATCH_SIZE = 10;
+
+// رسالة بقيت في sending بعد هذه المدة = توقف العامل أثناء الإرسال، تُعاد للطابور
+const STALE_SENDING_MINUTES = 5;
+
+// قيم هذه القوالب لا تبقى في السجل بعد انتهاء الرسالة (رمز التحقق)
+const SENSITIVE_TEMPLATES = ['otp'];
+
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKET', 'ECONNECTION', 'EAI_AGAIN', 'ENOTFOUND'];
+
+const LOG_COLUMNS = `id, to_email, template, locale, status, attempts, max_attempts, provider, provider_message_id,
+                     last_error, last_status_code, next_attempt_at, sent_at, created_at, updated_at`;
+
+// 429 والأخطاء 5xx (أو 4xx في SMTP) وأخطاء الشبكة مؤقتة، الباقي دائم
+const isTransient = (result) => {
+    const status = result.statusCode;
+    if (status === 429) return true;
+    if (typeof status === 'number') {
+        if (result.provider === 'smtp') return status >= 400 && status < 500;
+        return status >= 500;
+    }
+    return TRANSIENT_NETWORK_CODES.includes(result.code);
+};
+
+// 30s, 60s, 120s ... بحد أقصى ساعة
+const retryDelaySeconds = (attempt) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempt - 1), RETRY_MAX_SECONDS);
+
+const pushReady = async (id) => {
+    const client = cache.getClient();
+    if (!client) return;
+    try {
+        await client.lPush(READY_KEY, String(id));
+    } catch (err) {
+        console.error('Error pushing email to Redis queue:', err.message);
+    }
+};
+
+const pushDelayed = async (id, dueAt) => {
+    const client = cache.getClient();
+    if (!client) return;
+    try {
+        await client.zAdd(DELAYED_KEY, { score: dueAt.getTime(), value: String(id) });
+    } catch (err) {
+        console.error('Error pushing email to Redis delayed queue:', err.message);
+    }
+};
+
+// إضافة رسالة للطابور: يرجع صف email_log
+const enqueue = async (toEmail, template, vars = {}, { locale = null, maxAttempts = MAX_ATTEMPTS } = {}) => {
+    const res = await pool.query(
+        `INSERT INTO email_log (to_email, template, locale, vars, max_attempts)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${LOG_COLUMNS}`,
+        [toEmail, template, locale, JSON.stringify(vars), maxAttempts]
+    );
+    const entry = res.rows[0];
+    await pushReady(entry.id);
+    setImmediate(() => runWorker().catch(err => console.error('Email worker error:', err)));
+    return entry;
+};
+
+// حجز رسالة للإرسال (شرط الحالة يمنع إرسالها مرتين من عاملين مختلفين)
+const claimById = async (id) => {
+    const res = await pool.query(
+        `UPDATE email_log SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+         WHERE id = $1 AND status IN ('queued', 'retrying') AND next_attempt_at <= NOW() AND attempts < max_attempts
+         RETURNING id, to_email, template, locale, vars, attempts, max_attempts`,
+        [id]
+    );
+    return res.rows[0] || null;
+};
+
+// رسالة استنفدت محاولاتها (غالباً توقف العامل أثناء آخر محاولة) لا تُحجز مرة أخرى، بل تنتقل لـ dead
+const deadLetterExhausted = async () => {
+    const res = await pool.query(
+        `UPDATE email_log SET status = 'dead', last_error = COALESCE(last_error, 'Worker stopped while sending'),
+            vars = CASE WHEN template = ANY($2::text[]) THEN NULL ELSE vars END, updated_at = NOW()
+         WHERE attempts >= max_attempts
+           AND ((status IN ('queued', 'retrying') AND next_attempt_at <= NOW())
+             OR (status = 'sending' AND updated_at < NOW() - make_interval(mins => $1)))
+         RETURNING id, template`,
+        [STALE_SENDING_MINUTES, SENSITIVE_TEMPLATES]
+    );
+    for (const row of res.rows) {
+        console.error(`💀 Email ${row.id} (${row.template}) moved to dead letters: attempts exhausted`);
+    }
+};
+
+// البديل عند غياب Redis (وللرسائل التي فاتت Redis): الرسائل المستحقة مباشرة من Postgres
+const claimDue = async (limit) => {
+    await deadLetterExhausted();
+    const res = await pool.query(
+        `UPDATE email_log SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+         WHERE id IN (
+            SELECT id FROM email_log
+            WHERE attempts < max_attempts
+              AND ((status IN ('queued', 'retrying') AND next_attempt_at <= NOW())
+                OR (status = 'sending' AND updated_at < NOW() - make_interval(mins => $2)))
+            ORDER BY next_attempt_at ASC, id ASC
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, to_email, template, locale, vars, attempts, max_attempts`,
+        [limit, STALE_SENDING_MINUTES]
+    );
+    return res.rows;
+};
+
+// المؤجلة التي حان وقتها تنتقل لطابور الجاهز
+const promoteDelayed = async (client) => {
+    const due = await client.zRangeByScore(DELAYED_KEY, 0, Date.now());
+    for (const id of due) {
+        if (await client.zRem(DELAYED_KEY, id)) {
+            await client.lPush(READY_KEY, id);
+        }
+    }
+};
+
+const popReady = async (limit) => {
+    const client = cache.getClient();
+    if (!client) return [];
+    try {
+        await promoteDelayed(client);
+        const ids = [];
+        while (ids.length < limit) {
+            const id = await client.rPop(READY_KEY);
+            if (!id) break;
+            ids.push(parseInt(id));
+        }
+        return ids;
+    } catch (err) {
+        console.error('Error reading Redis email queue:', err.message);
+        return [];
+    }
+};
+
+const clearSensitiveVars = (job) => SENSITIVE_TEMPLATES.includes(job.template) ? ', vars = NULL' : '';
+
+const deliver = async (job) => {
+    const result = await email.sendTemplate(job.to_email, job.template, job.vars || {}, { locale: job.locale });
+
+    if (result.success) {
+        await pool.query(
+            `UPDATE email_log SET status = 'sent', provider = $1, provider_message_id = $2, sent_at = NOW(),
+                last_error = NULL, last_status_code = NULL, updated_at = NOW()${clearSensitiveVars(job)}
+             WHERE id = $3`,
+            [result.provider, result.messageId || null, job.id]
+        );
+        return;
+    }
+
+    const error = result.error || 'Unknown error';
+    if (isTransient(result) && job.attempts < job.max_attempts) {
+        const delay = retryDelaySeconds(job.attempts);
+        const dueAt = new Date(Date.now() + delay * 1000);
+        await pool.query(
+            `UPDATE email_log SET status = 'retrying', provider = $1, last_error = $2, last_status_code = $3,
+                next_attempt_at = $4, updated_at = NOW()
+             WHERE id = $5`,
+            [result.provider, error, result.statusCode || null, dueAt, job.id]
+        );
+        await pushDelayed(job.id, dueAt);
+        console.warn(`⏳ Email ${job.id} (${job.template}) will retry in ${delay}s (attempt ${job.attempts}/${job.max_attempts})`);
+        return;
+    }
+
+    await pool.query(
+        `UPDATE email_log SET status = 'dead', provider = $1, last_error = $2, last_status_code = $3,
+            updated_at = NOW()${clearSensitiveVars(job)}
+         WHERE id = $4`,
+        [result.provider, error, result.statusCode || null, job.id]
+    );
+    console.error(`💀 Email ${job.id} (${job.template}) moved to dead letters: ${error}`);
+};
+
+let running = false;
+
+// دفعة واحدة: من Redis أولاً ثم المستحق في Postgres، حتى يفرغ الطابور
+const runWorker = async () => {
+    if (running) return;
+    running = true;
+    try {
+        for (;;) {
+            const jobs = [];
+            for (const id of await popReady(BATCH_SIZE)) {
+                const job = await claimById(id);
+                if (job) jobs.push(job);
+            }
+            if (jobs.length < BATCH_SIZE) {
+                jobs.push(...await claimDue(BATCH_SIZE - jobs.length));
+            }
+            if (jobs.length === 0) break;
+
+            for (const job of jobs) {
+                try {
+                    await deliver(job);
+                } catch (err) {
+                    // خطأ في قاعدة البيانات: الرسالة تبقى في sending وتُستعاد لاحقاً (أو تنتقل لـ dead إذا استنفدت محاولاتها)
+                    console.error(`Error delivering email ${job.id}:`, err);
+                }
+            }
+        }
+    } finally {
+        running = false;
+    }
+};
+
+let workerTimer = null;
+
+const startWorker = () => {
+    if (workerTimer) return;
+    workerTimer = setInterval(() => {
+        runWorker().catch(err => console.error('Email worker error:', err));
+    }, WORKER_INTERVAL_MS);
+    workerTimer.unref();
+    console.log('📬 Email worker started');
+};
+
+const stopWorker = () => {
+    if (workerTimer) clearInterval(workerTimer);
+    workerTimer = null;
+};
+
+const getLogEntry = async (id) => {
+    const res = await pool.query(`SELECT ${LOG_COLUMNS} FROM email_log WHERE id = $1`, [id]);
+    return res.rows[0] || null;
+};
+
+// إعادة رسالة من dead-letter للطابور (يرجع { error } إذا لم يعد ممكناً)
+const requeue = async (id) => {
+    const res = await pool.query(
+        `UPDATE email_log SET status = 'queued', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = 'dead' AND vars IS NOT NULL
+         RETURNING ${LOG_COLUMNS}`,
+        [id]
+    );
+    if (res.rows.length === 0) {
+        const entry = await getLogEntry(id);
+        if (!entry) return null;
+        return { error: entry.status === 'dead' ? 'Email content is no longer available' : 'Only dead emails can be retried' };
+    }
+    await pushReady(id);
+    setImmediate(() => runWorker().catch(err => console.error('Email worker error:', err)));
+    return { entry: res.rows[0] };
+};
+
+const getQueueSummary = async () => {
+    const res = await pool.query('SELECT status, COUNT(*)::int as count FROM email_log GROUP BY status');
+    const summary = { queued: 0, sending: 0, retrying: 0, sent: 0, dead: 0 };
+    for (const row of res.rows) summary[row.status] = row.count;
+    return summary;
+};
+
+module.exports = {
+    enqueue,
+    runWorker,
+    startWorker,
+    stopWorker,
+    getLogEntry,
+    requeue,
+    getQueueSummary
+};
@@ -0,0 +1,218 @@
+/*
+ * =================================================================================
+ * EMAILTEMPLATES.JS - Email Template Registry (Arabic / English)
+ * =================================================================================
+ * ✅ كل قالب يعرّف العنوان والمحتوى مرة واحدة لكل لغة (ar / en)
+ * ✅ نسخة HTML ونسخة نصية من نفس المحتوى بدون تكرار
+ * ✅ تخطيط موحد (الرأس والتذييل) واتجاه النص حسب اللغة
+ * ✅ تهريب كل القيم المُدرجة في HTML
+ */
+
+const DEFAULT_LOCALE = process.env.EMAIL_DEFAULT_LOCALE === 'en' ? 'en' : 'ar';
+const LOCALES = ['ar', 'en'];
+
+const BRAND = 'Tawal Academy';
+const LOGIN_URL = process.env.FRONTEND_URL || 'https://tawal-academy.vercel.app';
+
+// نصوص المستخدمين تُدرج في HTML، لذا نهرّب الرموز الخاصة
+const escapeHtml = (text) => String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// كل قالب: (vars) => { subject, heading, blocks }
+// أنواع الكتل: text, code, quote { label, value }, button { label, url }, note
+const TEMPLATES = {
+    otp: {
+        ar: ({ code, minutes = 10 }) => ({
+            subject: `🔐 رمز التحقق - ${BRAND}`,
+            heading: 'مرحباً بك! 👋',
+            blocks: [
+                { type: 'text', value: 'يرجى استخدام رمز التحقق التالي:' },
+                { type: 'code', value: code },
+                { type: 'note', value: `⏰ هذا الرمز صالح لمدة ${minutes} دقائق فقط` },
+                { type: 'note', value: 'إذا لم تطلب هذا الرمز، يرجى تجاهل هذه الرسالة' }
+            ]
+        }),
+        en: ({ code, minutes = 10 }) => ({
+            subject: `🔐 Verification code - ${BRAND}`,
+            heading: 'Welcome! 👋',
+            blocks: [
+                { type: 'text', value: 'Please use the following verification code:' },
+                { type: 'code', value: code },
+                { type: 'note', value: `⏰ This code is valid for ${minutes} minutes only` },
+                { type: 'note', value: 'If you did not request this code, please ignore this email' }
+            ]
+        })
+    },
+
+    welcome: {
+        ar: ({ studentName, loginUrl = LOGIN_URL }) => ({
+            subject: `🎉 أهلاً بك في ${BRAND}`,
+            heading: `مرحباً ${studentName || ''} 👋`,
+            blocks: [
+                { type: 'text', value: 'تم إنشاء حسابك بنجاح. يمكنك الآن تصفح المواد وحل الاختبارات ومتابعة تقدمك.' },
+                { type: 'button', label: 'ابدأ التعلم', url: loginUrl }
+            ]
+        }),
+        en: ({ studentName, loginUrl = LOGIN_URL }) => ({
+            subject: `🎉 Welcome to ${BRAND}`,
+            heading: `Hello ${studentName || ''} 👋`,
+            blocks: [
+                { type: 'text', value: 'Your account has been created. You can now browse subjects, take quizzes and track your progress.' },
+                { type: 'button', label: 'Start learning', url: loginUrl }
+            ]
+        })
+    },
+
+    adminReply: {
+        ar: ({ studentName, message, reply }) => ({
+            subject: `💬 رد جديد على رسالتك - ${BRAND}`,
+            heading: `مرحباً ${studentName || ''} 👋`,
+            blocks: [
+                { type: 'quote', label: 'رسالتك:', value: message },
+                { type: 'quote', label: 'رد الإدارة:', value: reply, highlight: true }
+            ]
+        }),
+        en: ({ studentName, message, reply }) => ({
+            subject: `💬 New reply to your message - ${BRAND}`,
+            heading: `Hello ${studentName || ''} 👋`,
+            blocks: [
+                { type: 'quote', label: 'Your message:', value: message },
+                { type: 'quote', label: 'Reply:', value: reply, highlight: true }
+            ]
+        })
+    },
+
+    invitation: {
+        ar: ({ studentName, loginUrl = LOGIN_URL }) => ({
+            subject: `🎓 دعوة للانضمام - ${BRAND}`,
+            heading: `مرحباً ${studentName || ''} 👋`,
+            blocks: [
+                { type: 'text', value: 'تم إنشاء حسابك في أكاديمية طوال. سجّل الدخول ببريدك الإلكتروني وسيصلك رمز تحقق.' },
+                { type: 'button', label: 'ابدأ الآن', url: loginUrl }
+            ]
+        }),
+        en: ({ studentName, loginUrl = LOGIN_URL }) => ({
+            subject: `🎓 You're invited - ${BRAND}`,
+            heading: `Hello ${studentName || ''} 👋`,
+            blocks: [
+                { type: 'text', value: 'An account has been created for you at Tawal Academy. Sign in with your email and you will receive a verification code.' },
+                { type: 'button', label: 'Get started', url: loginUrl }
+            ]
+        })
+    },
+
+    announcement: {
+        ar: ({ title, message, studentName }) => ({
+            subject: `📢 ${title} - ${BRAND}`,
+            heading: studentName ? `مرحباً ${studentName} 👋` : title,
+            blocks: [
+                ...(studentName ? [{ type: 'text', value: title, strong: true }] : []),
+                { type: 'text', value: message }
+            ]
+        }),
+        en: ({ title, message, studentName }) => ({
+            subject: `📢 ${title} - ${BRAND}`,
+            heading: studentName ? `Hello ${studentName} 👋` : title,
+            blocks: [
+                ...(studentName ? [{ type: 'text', value: title, strong: true }] : []),
+                { type: 'text', value: message }
+            ]
+        })
+    }
+};
+
+const FOOTER = {
+    ar: 'جميع الحقوق محفوظة',
+    en: 'All rights reserved'
+};
+
+const renderBlockHtml = (block) => {
+    switch (block.type) {
+        case 'code':
+            return `<div style="text-align: center; padding: 20px 0;">
+                        <span style="display: inline-block; background: linear-gradient(135deg, #e8f0fe 0%, #f3e7ff 100%); border: 3px dashed #667eea; border-radius: 12px; padding: 25px 50px; font-size: 42px; font-weight: 800; letter-spacing: 12px; color: #667eea; font-family: 'Courier New', monospace;">${escapeHtml(block.value)}</span>
+                    </div>`;
+        case 'quote':
+            return `<p style="margin: 0 0 10px 0; color: #999999; font-size: 14px;">${escapeHtml(block.label)}</p>
+                    <p style="margin: 0 0 25px 0; padding: 15px; background-color: ${block.highlight ? '#e8f0fe' : '#f8f9fa'}; border-radius: 8px; color: ${block.highlight ? '#2c3e50' : '#666666'}; font-size: 16px; line-height: 1.6; white-space: pre-line;">${escapeHtml(block.value)}</p>`;
+        case 'button':
+            return `<div style="text-align: center; padding: 10px 0 20px 0;">
+                        <a href="${escapeHtml(block.url)}" style="display: inline-block; padding: 14px 40px; background: #667eea; color: #ffffff; border-radius: 8px; text-decoration: none; font-size: 16px; font-weight: 700;">${escapeHtml(block.label)}</a>
+                    </div>`;
+        case 'note':
+            return `<p style="margin: 20px 0 0 0; color: #999999; font-size: 14px; text-align: center;">${escapeHtml(block.value)}</p>`;
+        default:
+            return `<p style="margin: 0 0 20px 0; color: #666666; font-size: 16px; line-height: 1.6; white-space: pre-line;${block.strong ? ' font-weight: 700; color: #2c3e50;' : ''}">${escapeHtml(block.value)}</p>`;
+    }
+};
+
+const renderBlockText = (block) => {
+    switch (block.type) {
+        case 'quote':
+            return `${block.label} ${block.value}`;
+        case 'button':
+            return `${block.label}: ${block.url}`;
+        default:
+            return String(block.value);
+    }
+};
+
+const renderHtml = (content, locale) => {
+    const dir = locale === 'ar' ? 'rtl' : 'ltr';
+    return `<!DOCTYPE html>
+<html dir="${dir}" lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 40px 20px; font-family: 'Cairo', Arial, sans-serif; background-color: #f4f4f4;">
+    <div dir="${dir}" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        <div style="padding: 30px 40px; text-align: center; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);">
+            <h1 style="margin: 0; color: #ffffff; font-size: 28px;">🎓 ${BRAND}</h1>
+        </div>
+        <div style="padding: 40px; color: #2c3e50;">
+            <h2 style="margin: 0 0 20px 0; font-size: 22px;">${escapeHtml(content.heading)}</h2>
+            ${content.blocks.map(renderBlockHtml).join('\n            ')}
+        </div>
+        <div style="padding: 20px 40px; background-color: #f8f9fa; text-align: center;">
+            <p style="margin: 0; color: #cccccc; font-size: 11px;">© ${new Date().getFullYear()} ${BRAND} - ${FOOTER[locale]}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+};
+
+const renderText = (content, locale) => [
+    content.heading,
+    ...content.blocks.map(renderBlockText),
+    `© ${new Date().getFullYear()} ${BRAND} - ${FOOTER[locale]}`
+].join('\n\n');
+
+const resolveLocale = (locale) => LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+
+// يرجع { subject, html, text, locale } أو يرمي خطأ لقالب غير معروف
+const renderTemplate = (name, vars = {}, locale) => {
+    const template = TEMPLATES[name];
+    if (!template) throw new Error(`Unknown email template: ${name}`);
+
+    const resolved = resolveLocale(locale);
+    const content = template[resolved](vars);
+    return {
+        subject: content.subject,
+        html: renderHtml(content, resolved),
+        text: renderText(content, resolved),
+        locale: resolved
+    };
+};
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    TEMPLATE_NAMES: Object.keys(TEMPLATES),
+    escapeHtml,
+    renderTemplate
+};
@@ -0,0 +1,116 @@
+/*
+ * =================================================================================
+ * FINGERPRINTS.JS - Device Tracking & Blocking
+ * =================================================================================
+ * ✅ تسجيل كل جهاز للطالب في student_fingerprints مع آخر ظهور
+ * ✅ حد أقصى لعدد الأجهزة لكل طالب لمنع مشاركة الحسابات
+ * ✅ قائمة البصمات المحظورة (blocked_fingerprints)
+ */
+
+require('dotenv').config();
+const { pool } = require('./database');
+const { endSessions } = require('./sessions');
+
+const MAX_DEVICES_PER_STUDENT = parseInt(process.env.MAX_DEVICES_PER_STUDENT) || 3;
+
+const getBlockedFingerprint = async (fingerprint) => {
+    if (!fingerprint) return null;
+    const res = await pool.query(
+        'SELECT id, fingerprint, reason, created_at FROM blocked_fingerprints WHERE fingerprint = $1',
+        [fingerprint]
+    );
+    return res.rows[0] || null;
+};
+
+// يسجل الجهاز أو يحدّث آخر ظهور له
+// يرجع { allowed: false } إذا كان جهازاً جديداً وتم بلوغ الحد الأقصى
+const recordDevice = async (studentId, fingerprint) => {
+    const updated = await pool.query(
+        'UPDATE student_fingerprints SET last_seen = NOW() WHERE student_id = $1 AND fingerprint = $2',
+        [studentId, fingerprint]
+    );
+    if (updated.rowCount > 0) return { allowed: true, isNew: false };
+
+    const countRes = await pool.query(
+        'SELECT COUNT(*) as count FROM student_fingerprints WHERE student_id = $1',
+        [studentId]
+    );
+    if (parseInt(countRes.rows[0].count) >= MAX_DEVICES_PER_STUDENT) {
+        return { allowed: false, isNew: true };
+    }
+
+    await pool.query(
+        'INSERT INTO student_fingerprints (student_id, fingerprint) VALUES ($1, $2) ON CONFLICT (student_id, fingerprint) DO UPDATE SET last_seen = NOW()',
+        [studentId, fingerprint]
+    );
+    return { allowed: true, isNew: true };
+};
+
+const listDevices = async (studentId) => {
+    const res = await pool.query(
+        'SELECT id, fingerprint, last_seen FROM student_fingerprints WHERE student_id = $1 ORDER BY last_seen DESC',
+        [studentId]
+    );
+    return res.rows;
+};
+
+// حذف جهاز من أجهزة الطالب مع إنهاء الجلسات المفتوحة عليه
+const removeDevice = async (studentId, deviceId) => {
+    const res = await pool.query(
+        'DELETE FROM student_fingerprints WHERE id = $1 AND student_id = $2 RETURNING fingerprint',
+        [deviceId, studentId]
+    );
+    if (res.rows.length === 0) return null;
+
+    const { fingerprint } = res.rows[0];
+    await endSessions('student_id = $1 AND fingerprint = $2', [studentId, fingerprint], 'revoked');
+    return fingerprint;
+};
+
+// حظر بصمة وإنهاء كل الجلسات المفتوحة من هذا الجهاز
+const blockFingerprint = async (fingerprint, reason) => {
+    const res = await pool.query(
+        `INSERT INTO blocked_fingerprints (fingerprint, reason) VALUES ($1, $2)
+         ON CONFLICT (fingerprint) DO UPDATE SET reason = EXCLUDED.reason
+         RETURNING id, fingerprint, reason, created_at`,
+        [fingerprint, reason || null]
+    );
+    await endSessions('fingerprint = $1', [fingerprint], 'revoked');
+    return res.rows[0];
+};
+
+// حظر كل الأجهزة المعروفة للطالب (عند حظر حسابه)
+const blockStudentFingerprints = async (studentId, reason) => {
+    const res = await pool.query(
+        `INSERT INTO blocked_fingerprints (fingerprint, reason, student_id)
+         SELECT fingerprint, $2::text, $1::integer FROM student_fingerprints WHERE student_id = $1
+         UNION
+         SELECT fingerprint, $2::text, $1::integer FROM students WHERE id = $1 AND fingerprint IS NOT NULL AND fingerprint <> ''
+         ON CONFLICT (fingerprint) DO NOTHING
+         RETURNING fingerprint`,
+        [studentId, reason || null]
+    );
+    return res.rows.map(row => row.fingerprint);
+};
+
+const unblockStudentFingerprints = async (studentId) => {
+    const res = await pool.query('DELETE FROM blocked_fingerprints WHERE student_id = $1', [studentId]);
+    return res.rowCount;
+};
+
+const unblockFingerprint = async (blockId) => {
+    const res = await pool.query('DELETE FROM blocked_fingerprints WHERE id = $1', [blockId]);
+    return res.rowCount > 0;
+};
+
+module.exports = {
+    MAX_DEVICES_PER_STUDENT,
+    getBlockedFingerprint,
+    recordDevice,
+    listDevices,
+    removeDevice,
+    blockFingerprint,
+    blockStudentFingerprints,
+    unblockStudentFingerprints,
+    unblockFingerprint
+};
@@ -0,0 +1,376 @@
+/*
+ * =================================================================================
+ * GROUPS.JS - Student Groups (Class / Year / Semester)
+ * =================================================================================
+ * ✅ مجموعات الطلاب وإدارة الأعضاء والمشرفين المسؤولين عن كل مجموعة
+ * ✅ قصر مادة أو اختبار على مجموعات محددة (بدون قيود = متاح للجميع)
+ * ✅ إحصائيات كل مجموعة: متوسط الدرجات لكل مادة، نسبة الإنجاز، الطلاب النشطون
+ * ✅ المشرف المرتبط بمجموعات يرى مجموعاته فقط (superadmin يرى الكل)
+ */
+
+const { pool } = require('./database');
+const cache = require('./cache');
+
+const RESTRICTIONS_CACHE_KEY = 'group_restrictions';
+const RESTRICTIONS_CACHE_TTL = 300;
+
+const GROUP_KINDS = ['class', 'year', 'semester'];
+
+const GROUP_COLUMNS = `g.id, g.name, g.kind, g.academic_year, g.description, g.created_at, g.updated_at,
+                       (SELECT COUNT(*) FROM group_members gm WHERE gm.group_id = g.id)::int as member_count`;
+
+const invalidateRestrictions = async () => {
+    await cache.del(RESTRICTIONS_CACHE_KEY);
+};
+
+// groupIds = null تعني كل المجموعات (superadmin)
+const listGroups = async ({ groupIds = null } = {}) => {
+    const res = await pool.query(
+        `SELECT ${GROUP_COLUMNS} FROM student_groups g
+         WHERE $1::int[] IS NULL OR g.id = ANY($1)
+         ORDER BY g.kind ASC, g.name ASC, g.id ASC`,
+        [groupIds]
+    );
+    return res.rows;
+};
+
+const getGroup = async (groupId) => {
+    const res = await pool.query(`SELECT ${GROUP_COLUMNS} FROM student_groups g WHERE g.id = $1`, [groupId]);
+    const group = res.rows[0];
+    if (!group) return null;
+
+    const adminsRes = await pool.query(
+        `SELECT a.id, a.username, a.role FROM group_admins ga
+         JOIN admins a ON ga.admin_id = a.id
+         WHERE ga.group_id = $1 ORDER BY a.username ASC`,
+        [groupId]
+    );
+    return { ...group, admins: adminsRes.rows };
+};
+
+// adminId (اختياري): المشرف المحدود بمجموعات يصبح مسؤولاً عن المجموعة التي أنشأها
+const createGroup = async ({ name, kind, academicYear, description }, { adminId = null } = {}) => {
+    const res = await pool.query(
+        `INSERT INTO student_groups (name, kind, academic_year, description)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [name, kind, academicYear || null, description || null]
+    );
+    const groupId = res.rows[0].id;
+    if (adminId) {
+        await pool.query('INSERT INTO group_admins (group_id, admin_id) VALUES ($1, $2)', [groupId, adminId]);
+    }
+    return getGroup(groupId);
+};
+
+const updateGroup = async (groupId, { name, kind, academicYear, description }) => {
+    const res = await pool.query(
+        `UPDATE student_groups SET
+            name = COALESCE($1, name),
+            kind = COALESCE($2, kind),
+            academic_year = CASE WHEN $3::boolean THEN $4 ELSE academic_year END,
+            description = CASE WHEN $5::boolean THEN $6 ELSE description END,
+            updated_at = NOW()
+         WHERE id = $7
+         RETURNING id`,
+        [
+            name || null,
+            kind || null,
+            academicYear !== undefined, academicYear || null,
+            description !== undefined, description || null,
+            groupId
+        ]
+    );
+    if (res.rows.length === 0) return null;
+    return getGroup(groupId);
+};
+
+// الأعضاء والقيود تُحذف بـ ON DELETE CASCADE
+const deleteGroup = async (groupId) => {
+    const res = await pool.query('DELETE FROM student_groups WHERE id = $1 RETURNING id', [groupId]);
+    if (res.rows.length === 0) return false;
+    await invalidateRestrictions();
+    return true;
+};
+
+const listMembers = async (groupId) => {
+    const res = await pool.query(
+        `SELECT s.id, s.name, s.email, s.avatar_url, s.last_seen, s.isblocked, gm.added_at
+         FROM group_members gm
+         JOIN students s ON gm.student_id = s.id
+         WHERE gm.group_id = $1
+         ORDER BY s.name ASC, s.id ASC`,
+        [groupId]
+    );
+    return res.rows;
+};
+
+// يرجع المعرفات التي أُضيفت فعلاً والمعرفات التي لا تطابق أي طالب
+const addMembers = async (groupId, studentIds) => {
+    const existingRes = await pool.query('SELECT id FROM students WHERE id = ANY($1)', [studentIds]);
+    const existing = existingRes.rows.map(row => row.id);
+
+    const inserted = await pool.query(
+        `INSERT INTO group_members (group_id, student_id)
+         SELECT $1, UNNEST($2::int[])
+         ON CONFLICT DO NOTHING
+         RETURNING student_id`,
+        [groupId, existing]
+    );
+
+    return {
+        added: inserted.rows.map(row => row.student_id),
+        notFound: studentIds.filter(id => !existing.includes(id))
+    };
+};
+
+const removeMember = async (groupId, studentId) => {
+    const res = await pool.query(
+        'DELETE FROM group_members WHERE group_id = $1 AND student_id = $2 RETURNING student_id',
+        [groupId, studentId]
+    );
+    return res.rows.length > 0;
+};
+
+const getStudentGroupIds = async (studentId) => {
+    const res = await pool.query('SELECT group_id FROM group_members WHERE student_id = $1', [studentId]);
+    return res.rows.map(row => row.group_id);
+};
+
+// استبدال قائمة المشرفين بالكامل، يرجع المعرفات غير الموجودة بدون أي تعديل
+const setGroupAdmins = async (groupId, adminIds) => {
+    const existingRes = await pool.query('SELECT id FROM admins WHERE id = ANY($1)', [adminIds]);
+    const existing = existingRes.rows.map(row => row.id);
+    const notFound = adminIds.filter(id => !existing.includes(id));
+    if (notFound.length > 0) return { notFound };
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM group_admins WHERE group_id = $1', [groupId]);
+        await client.query(
+            'INSERT INTO group_admins (group_id, admin_id) SELECT $1, UNNEST($2::int[])',
+            [groupId, adminIds]
+        );
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    return { notFound: [] };
+};
+
+// المجموعات التي يراها المشرف: null = كل المجموعات (superadmin فقط)
+// المشرف غير المرتبط بأي مجموعة لا يرى أي طالب
+const getAdminScope = async (admin) => {
+    if (admin.role === 'superadmin') return null;
+    const res = await pool.query('SELECT group_id FROM group_admins WHERE admin_id = $1', [admin.id]);
+    return res.rows.map(row => row.group_id);
+};
+
+const isInScope = (scope, groupId) => scope === null || scope.includes(groupId);
+
+// الطالب ضمن النطاق إذا كان عضواً في إحدى مجموعات المشرف
+const isStudentInScope = async (scope, studentId) => {
+    if (scope === null) return true;
+    const res = await pool.query(
+        'SELECT 1 FROM group_members WHERE student_id = $1 AND group_id = ANY($2::int[]) LIMIT 1',
+        [studentId, scope]
+    );
+    return res.rows.length > 0;
+};
+
+// الطلاب غير الأعضاء في أي من مجموعات المشرف (بما فيهم غير الموجودين)، فارغة للنطاق الكامل
+const getStudentsOutOfScope = async (scope, studentIds) => {
+    if (scope === null) return [];
+    const res = await pool.query(
+        'SELECT DISTINCT student_id FROM group_members WHERE student_id = ANY($1::int[]) AND group_id = ANY($2::int[])',
+        [studentIds, scope]
+    );
+    const inScope = new Set(res.rows.map(row => row.student_id));
+    return studentIds.filter(id => !inScope.has(id));
+};
+
+// { subjects: { subjectId: [groupIds] }, quizzes: { quizId: [groupIds] } } من الكاش إن وُجد
+const getRestrictions = () => cache.wrap(RESTRICTIONS_CACHE_KEY, RESTRICTIONS_CACHE_TTL, async () => {
+    const subjectsRes = await pool.query('SELECT subject_id, group_id FROM subject_groups ORDER BY group_id ASC');
+    const quizzesRes = await pool.query('SELECT quiz_id, group_id FROM quiz_groups ORDER BY group_id ASC');
+
+    const restrictions = { subjects: {}, quizzes: {} };
+    for (const row of subjectsRes.rows) {
+        (restrictions.subjects[row.subject_id] = restrictions.subjects[row.subject_id] || []).push(row.group_id);
+    }
+    for (const row of quizzesRes.rows) {
+        (restrictions.quizzes[row.quiz_id] = restrictions.quizzes[row.quiz_id] || []).push(row.group_id);
+    }
+
+    return restrictions;
+});
+
+const getSubjectGroupIds = async (subjectId) => (await getRestrictions()).subjects[subjectId] || [];
+const getQuizGroupIds = async (quizId) => (await getRestrictions()).quizzes[quizId] || [];
+
+// استبدال قائمة المجموعات (قائمة فارغة = إزالة القيد)
+const setRestriction = async (table, column, targetId, groupIds) => {
+    const existingRes = await pool.query('SELECT id FROM student_groups WHERE id = ANY($1)', [groupIds]);
+    const existing = existingRes.rows.map(row => row.id);
+    const notFound = groupIds.filter(id => !existing.includes(id));
+    if (notFound.length > 0) return { notFound };
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(`DELETE FROM ${table} WHERE ${column} = $1`, [targetId]);
+        await client.query(
+            `INSERT INTO ${table} (${column}, group_id) SELECT $1, UNNEST($2::int[])`,
+            [targetId, groupIds]
+        );
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    await invalidateRestrictions();
+    return { notFound: [] };
+};
+
+const setSubjectGroups = (subjectId, groupIds) => setRestriction('subject_groups', 'subject_id', subjectId, groupIds);
+const setQuizGroups = (quizId, groupIds) => setRestriction('quiz_groups', 'quiz_id', quizId, groupIds);
+
+// متاح إذا لم يكن مقيداً، أو إذا كان الطالب عضواً في إحدى المجموعات المسموحة
+const isAllowed = (allowedGroupIds, studentGroupIds) =>
+    !allowedGroupIds || allowedGroupIds.length === 0 ||
+    allowedGroupIds.some(id => studentGroupIds.includes(id));
+
+// studentId = null (زائر) يرى المواد غير المقيدة فقط
+const filterSubjectsForStudent = async (subjects, studentId) => {
+    const restrictions = await getRestrictions();
+    const studentGroupIds = studentId ? await getStudentGroupIds(studentId) : [];
+    return subjects.filter(s => isAllowed(restrictions.subjects[s.id], studentGroupIds));
+};
+
+const filterQuizzesForStudent = async (quizList, studentId) => {
+    const restrictions = await getRestrictions();
+    const studentGroupIds = await getStudentGroupIds(studentId);
+    return quizList.filter(q =>
+        isAllowed(restrictions.subjects[q.subject_id], studentGroupIds) &&
+        isAllowed(restrictions.quizzes[q.id], studentGroupIds)
+    );
+};
+
+const canAccessSubject = async (studentId, subjectId) => {
+    const allowed = await getSubjectGroupIds(subjectId);
+    if (allowed.length === 0) return true;
+    return isAllowed(allowed, studentId ? await getStudentGroupIds(studentId) : []);
+};
+
+// الاختبار يجب أن يكون متاحاً هو ومادته
+const canAccessQuiz = async (studentId, quiz) => {
+    const restrictions = await getRestrictions();
+    const subjectGroups = restrictions.subjects[quiz.subject_id];
+    const quizGroups = restrictions.quizzes[quiz.id];
+    if (!subjectGroups && !quizGroups) return true;
+
+    const studentGroupIds = await getStudentGroupIds(studentId);
+    return isAllowed(subjectGroups, studentGroupIds) && isAllowed(quizGroups, studentGroupIds);
+};
+
+// activeDays: الطالب النشط = آخر ظهور خلال هذه المدة
+// completion = نسبة الأعضاء الذين لديهم نتيجة واحدة على الأقل في المادة
+const getGroupStats = async (groupId, { activeDays = 7 } = {}) => {
+    const membersRes = await pool.query(
+        `SELECT
+            COUNT(*)::int as members,
+            COUNT(*) FILTER (WHERE s.last_seen >= NOW() - make_interval(days => $2))::int as active_students
+         FROM group_members gm
+         JOIN students s ON gm.student_id = s.id
+         WHERE gm.group_id = $1`,
+        [groupId, activeDays]
+    );
+    const { members, active_students: activeStudents } = membersRes.rows[0];
+
+    const subjectsRes = await pool.query(
+        `SELECT
+            r.subject_id,
+            COUNT(*)::int as attempts,
+            COUNT(DISTINCT r.student_id)::int as students_attempted,
+            ROUND(AVG(r.score))::int as average_score
+         FROM quiz_results r
+         JOIN group_members gm ON gm.student_id = r.student_id AND gm.group_id = $1
+         GROUP BY r.subject_id`,
+        [groupId]
+    );
+    const overallRes = await pool.query(
+        `SELECT ROUND(AVG(r.score))::int as average_score, COUNT(*)::int as attempts
+         FROM quiz_results r
+         JOIN group_members gm ON gm.student_id = r.student_id AND gm.group_id = $1`,
+        [groupId]
+    );
+
+    // كل المواد المنشورة المتاحة للمجموعة، حتى التي لم يُختبر فيها أحد بعد
+    const restrictions = await getRestrictions();
+    const catalogRes = await pool.query(
+        'SELECT id, title_ar, title_en FROM subjects WHERE is_published = TRUE ORDER BY position ASC, id ASC'
+    );
+    const bySubject = new Map(subjectsRes.rows.map(row => [row.subject_id, row]));
+
+    const subjects = catalogRes.rows
+        .filter(subject => isAllowed(restrictions.subjects[subject.id], [groupId]) || bySubject.has(subject.id))
+        .map(subject => {
+            const row = bySubject.get(subject.id);
+            const studentsAttempted = row ? row.students_attempted : 0;
+            return {
+                subjectId: subject.id,
+                titleAr: subject.title_ar,
+                titleEn: subject.title_en,
+                attempts: row ? row.attempts : 0,
+                studentsAttempted,
+                averageScore: row ? row.average_score : null,
+                completionRate: members > 0 ? Math.round((studentsAttempted / members) * 100) : 0
+            };
+        });
+
+    return {
+        groupId,
+        members,
+        activeStudents,
+        activeDays,
+        totalAttempts: overallRes.rows[0].attempts,
+        averageScore: overallRes.rows[0].average_score,
+        subjects
+    };
+};
+
+module.exports = {
+    GROUP_KINDS,
+    listGroups,
+    getGroup,
+    createGroup,
+    updateGroup,
+    deleteGroup,
+    listMembers,
+    addMembers,
+    removeMember,
+    getStudentGroupIds,
+    setGroupAdmins,
+    getAdminScope,
+    isInScope,
+    isStudentInScope,
+    getStudentsOutOfScope,
+    isAllowed,
+    getRestrictions,
+    getSubjectGroupIds,
+    getQuizGroupIds,
+    setSubjectGroups,
+    setQuizGroups,
+    filterSubjectsForStudent,
+    filterQuizzesForStudent,
+    canAccessSubject,
+    canAccessQuiz,
+    getGroupStats
+};
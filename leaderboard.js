@@ -0,0 +1,116 @@
+/*
+ * =================================================================================
+ * LEADERBOARD.JS - Subject & Overall Rankings
+ * =================================================================================
+ * ✅ ترتيب حسب أفضل درجة لكل مادة، أو مجموع أفضل الدرجات في كل المواد
+ * ✅ فترات زمنية: الكل / أسبوعي / شهري
+ * ✅ التعادل يُحسم لصالح من حقق الدرجة أولاً
+ * ✅ الطالب يمكنه إخفاء اسمه من العرض العام مع بقاء ترتيبه محسوباً
+ */
+
+const { pool } = require('./database');
+const cache = require('./cache');
+
+const CACHE_TTL = 300;
+const CACHE_TAG = 'leaderboard';
+
+const PERIOD_DAYS = { week: 7, month: 30 };
+
+// كل لوحات الترتيب تُخزن بنفس الوسم، فإبطالها دفعة واحدة
+const invalidateLeaderboards = async () => {
+    await cache.invalidateTag(CACHE_TAG);
+};
+
+// الترتيب الكامل (مرتباً) لمادة أو لكل المواد
+const computeRanking = async ({ subjectId, period }) => {
+    const conditions = ['s.isblocked = FALSE'];
+    const params = [];
+    if (subjectId) {
+        params.push(subjectId);
+        conditions.push(`r.subject_id = $${params.length}`);
+    }
+    if (PERIOD_DAYS[period]) {
+        params.push(PERIOD_DAYS[period]);
+        conditions.push(`r.created_at >= NOW() - make_interval(days => $${params.length})`);
+    }
+
+    // أفضل درجة لكل طالب في كل مادة مع أول وقت تحققت فيه
+    const bestPerSubject = `
+        SELECT DISTINCT ON (r.student_id, r.subject_id)
+            r.student_id, r.subject_id, r.score, r.created_at as achieved_at
+        FROM quiz_results r
+        JOIN students s ON r.student_id = s.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY r.student_id, r.subject_id, r.score DESC, r.created_at ASC
+    `;
+
+    const res = await pool.query(
+        `WITH best AS (${bestPerSubject}),
+         totals AS (
+            SELECT student_id,
+                   SUM(score)::int as score,
+                   COUNT(*)::int as subjects,
+                   MAX(achieved_at) as achieved_at
+            FROM best
+            GROUP BY student_id
+         )
+         SELECT
+            ROW_NUMBER() OVER (ORDER BY t.score DESC, t.achieved_at ASC, t.student_id ASC)::int as rank,
+            t.student_id, t.score, t.subjects, t.achieved_at,
+            s.name, s.leaderboard_hidden
+         FROM totals t
+         JOIN students s ON t.student_id = s.id
+         ORDER BY rank ASC`,
+        params
+    );
+    return res.rows;
+};
+
+const getRanking = ({ subjectId, period }) => cache.wrap(
+    `leaderboard:${subjectId || 'overall'}:${period}`,
+    CACHE_TTL,
+    () => computeRanking({ subjectId, period }),
+    { tags: [CACHE_TAG] }
+);
+
+const formatEntry = (row) => ({
+    rank: row.rank,
+    studentId: row.leaderboard_hidden ? null : row.student_id,
+    name: row.leaderboard_hidden ? null : row.name,
+    hidden: row.leaderboard_hidden,
+    score: row.score,
+    subjects: row.subjects,
+    achievedAt: row.achieved_at
+});
+
+// أعلى N طالب + ترتيب الطالب الحالي حتى لو كان خارجهم
+const getLeaderboard = async ({ subjectId = null, period = 'all', limit = 10, studentId = null }) => {
+    const ranking = await getRanking({ subjectId, period });
+
+    let me = null;
+    if (studentId) {
+        const own = ranking.find(row => row.student_id === studentId);
+        me = own
+            ? { rank: own.rank, score: own.score, subjects: own.subjects, achievedAt: own.achieved_at, hidden: own.leaderboard_hidden }
+            : { rank: null, score: 0, subjects: 0, achievedAt: null };
+    }
+
+    return {
+        subjectId,
+        period,
+        totalRanked: ranking.length,
+        entries: ranking.slice(0, limit).map(formatEntry),
+        me
+    };
+};
+
+const setHidden = async (studentId, hidden) => {
+    await pool.query('UPDATE students SET leaderboard_hidden = $1 WHERE id = $2', [hidden, studentId]);
+    await invalidateLeaderboards();
+};
+
+module.exports = {
+    getLeaderboard,
+    invalidateLeaderboards,
+    setHidden
+};
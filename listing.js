@@ -0,0 +1,321 @@
+/*
+ * =================================================================================
+ * LISTING.JS - Admin Lists (Pagination / Sort / Date Range / Search / Filters)
+ * =================================================================================
+ * ✅ نفس صيغة الاستعلام لكل قوائم الإدارة: page, limit, sort, from, to, q + فلاتر كل قائمة
+ * ✅ نفس شكل الرد: { data, pagination: { page, limit, total, totalPages }, sort, filters }
+ * ✅ تعريف كل قائمة مرة واحدة هنا (الجداول، الأعمدة، البحث، الفلاتر) ويُعاد استخدامه في التصدير
+ */
+
+const Joi = require('joi');
+const { pool } = require('./database');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// كل قائمة:
+// from: الجدول مع الـ JOINs، select: الأعمدة، idColumn: لترتيب ثابت عند التساوي
+// searchColumns: أعمدة البحث النصي (q)، dateColumn: عمود from/to
+// sortable: الحقول المسموح الترتيب بها، filters: { اسم: { schema, condition(value, param) } }
+// studentColumn: عمود الطالب لتطبيق نطاق مجموعات المشرف (القوائم التي تعرض بيانات الطلاب)
+const RESOURCES = {
+    students: {
+        from: 'students s',
+        select: `s.id, s.name, s.email, s.avatar_url, s.createdat, s.last_seen,
+                 s.isblocked, s.blocked_reason, s.blocked_at`,
+        idColumn: 's.id',
+        studentColumn: 's.id',
+        searchColumns: ['s.name', 's.email'],
+        dateColumn: 's.createdat',
+        sortable: { createdAt: 's.createdat', name: 's.name', email: 's.email', lastSeen: 's.last_seen' },
+        defaultSort: '-createdAt',
+        filters: {
+            blocked: {
+                schema: Joi.boolean(),
+                condition: (value, param) => `s.isblocked = ${param(value)}`
+            },
+            groupId: {
+                schema: Joi.number().integer(),
+                condition: (value, param) => `s.id IN (SELECT student_id FROM group_members WHERE group_id = ${param(value)})`
+            }
+        }
+    },
+
+    messages: {
+        from: 'messages m JOIN students s ON m.student_id = s.id',
+        select: `m.id, m.student_id as studentid, m.content, m.admin_reply as adminreply, m.is_read as isread,
+                 m.replied_at as repliedat, m.replied_by as repliedby, m.created_at as createdat,
+                 s.name as studentName, s.email as studentemail`,
+        idColumn: 'm.id',
+        studentColumn: 'm.student_id',
+        searchColumns: ['m.content', 's.name', 's.email'],
+        dateColumn: 'm.created_at',
+        sortable: { createdAt: 'm.created_at', repliedAt: 'm.replied_at' },
+        defaultSort: '-createdAt',
+        filters: {
+            status: {
+                schema: Joi.string().valid('unread', 'read', 'unanswered', 'answered'),
+                condition: (value) => ({
+                    unread: 'm.is_read = FALSE',
+                    read: 'm.is_read = TRUE',
+                    unanswered: 'm.admin_reply IS NULL',
+                    answered: 'm.admin_reply IS NOT NULL'
+                })[value]
+            },
+            studentId: {
+                schema: Joi.number().integer(),
+                condition: (value, param) => `m.student_id = ${param(value)}`
+            }
+        }
+    },
+
+    activityLogs: {
+        from: 'activity_logs al JOIN students s ON al.student_id = s.id',
+        select: `al.id, al.student_id as studentid, al.activity_type as activitytype, al.subject_id as subjectid,
+                 al.subject_name as subjectname, al.score, al.timestamp, s.name as studentName`,
+        idColumn: 'al.id',
+        studentColumn: 'al.student_id',
+        searchColumns: ['s.name', 's.email', 'al.activity_type', 'al.subject_name'],
+        dateColumn: 'al.timestamp',
+        sortable: { timestamp: 'al.timestamp' },
+        defaultSort: '-timestamp',
+        filters: {
+            studentId: {
+                schema: Joi.number().integer(),
+                condition: (value, param) => `al.student_id = ${param(value)}`
+            },
+            subjectId: {
+                schema: Joi.string().max(50),
+                condition: (value, param) => `al.subject_id = ${param(value)}`
+            },
+            activityType: {
+                schema: Joi.string().max(50),
+                condition: (value, param) => `al.activity_type = ${param(value)}`
+            }
+        }
+    },
+
+    loginLogs: {
+        from: 'login_logs ll JOIN students s ON ll.student_id = s.id',
+        select: `ll.id, ll.student_id, ll.logintime, ll.logouttime, ll.logout_reason,
+                 EXTRACT(EPOCH FROM (ll.logouttime - ll.logintime))::int as duration_seconds,
+                 ll.ip_address, ll.user_agent, ll.fingerprint, s.name`,
+        idColumn: 'll.id',
+        studentColumn: 'll.student_id',
+        searchColumns: ['s.name', 's.email', 'll.ip_address'],
+        dateColumn: 'll.logintime',
+        sortable: { loginTime: 'll.logintime', duration: '(ll.logouttime - ll.logintime)' },
+        defaultSort: '-loginTime',
+        filters: {
+            studentId: {
+                schema: Joi.number().integer(),
+                condition: (value, param) => `ll.student_id = ${param(value)}`
+            },
+            status: {
+                schema: Joi.string().valid('open', 'closed'),
+                condition: (value) => value === 'open' ? 'll.logouttime IS NULL' : 'll.logouttime IS NOT NULL'
+            }
+        }
+    },
+
+    quizResults: {
+        from: 'quiz_results r JOIN students s ON r.student_id = s.id LEFT JOIN subjects sub ON r.subject_id = sub.id',
+        select: `r.id, r.student_id, s.name as student_name, s.email as student_email,
+                 r.subject_id, sub.title_ar as subject_title, r.quiz_name,
+                 r.score, r.total_questions, r.correct_answers, r.created_at`,
+        idColumn: 'r.id',
+        studentColumn: 'r.student_id',
+        searchColumns: ['s.name', 's.email', 'r.quiz_name'],
+        dateColumn: 'r.created_at',
+        sortable: { createdAt: 'r.created_at', score: 'r.score', name: 's.name' },
+        defaultSort: '-createdAt',
+        filters: {
+            studentId: {
+                schema: Joi.number().integer(),
+                condition: (value, param) => `r.student_id = ${param(value)}`
+            },
+            subjectId: {
+                schema: Joi.string().max(50),
+                condition: (value, param) => `r.subject_id = ${param(value)}`
+            },
+            minScore: {
+                schema: Joi.number().integer().min(0).max(100),
+                condition: (value, param) => `r.score >= ${param(value)}`
+            },
+            maxScore: {
+                schema: Joi.number().integer().min(0).max(100),
+                condition: (value, param) => `r.score <= ${param(value)}`
+            },
+            groupId: {
+                schema: Joi.number().integer(),
+                condition: (value, param) => `r.student_id IN (SELECT student_id FROM group_members WHERE group_id = ${param(value)})`
+            }
+        }
+    },
+
+    accountDeletions: {
+        from: 'account_deletions d',
+        select: `d.id, d.initiated_by, d.reason, d.account_age_days, d.quiz_results, d.messages,
+                 d.activity_logs, d.deleted_at`,
+        idColumn: 'd.id',
+        searchColumns: ['d.reason'],
+        dateColumn: 'd.deleted_at',
+        sortable: { deletedAt: 'd.deleted_at' },
+        defaultSort: '-deletedAt',
+        filters: {
+            initiatedBy: {
+                schema: Joi.string().valid('student', 'admin'),
+                condition: (value, param) => `d.initiated_by = ${param(value)}`
+            }
+        }
+    },
+
+    emailLog: {
+        from: 'email_log e',
+        select: `e.id, e.to_email, e.template, e.locale, e.status, e.attempts, e.max_attempts, e.provider,
+                 e.provider_message_id, e.last_error, e.last_status_code, e.next_attempt_at, e.sent_at, e.created_at`,
+        idColumn: 'e.id',
+        searchColumns: ['e.to_email', 'e.provider_message_id', 'e.last_error'],
+        dateColumn: 'e.created_at',
+        sortable: { createdAt: 'e.created_at', sentAt: 'e.sent_at', attempts: 'e.attempts' },
+        defaultSort: '-createdAt',
+        filters: {
+            status: {
+                schema: Joi.string().valid('queued', 'sending', 'retrying', 'sent', 'dead'),
+                condition: (value, param) => `e.status = ${param(value)}`
+            },
+            template: {
+                schema: Joi.string().max(50),
+                condition: (value, param) => `e.template = ${param(value)}`
+            },
+            email: {
+                schema: Joi.string().email(),
+                condition: (value, param) => `LOWER(e.to_email) = LOWER(${param(value)})`
+            }
+        }
+    },
+
+    blockedFingerprints: {
+        from: 'blocked_fingerprints b',
+        select: 'b.id, b.fingerprint, b.reason, b.student_id, b.created_at',
+        idColumn: 'b.id',
+        searchColumns: ['b.fingerprint', 'b.reason'],
+        dateColumn: 'b.created_at',
+        sortable: { createdAt: 'b.created_at' },
+        defaultSort: '-createdAt',
+        filters: {
+            studentId: {
+                schema: Joi.number().integer(),
+                condition: (value, param) => `b.student_id = ${param(value)}`
+            }
+        }
+    }
+};
+
+const getResource = (name) => {
+    const resource = RESOURCES[name];
+    if (!resource) throw new Error(`Unknown list resource: ${name}`);
+    return resource;
+};
+
+// التحقق من query string حسب القائمة (مع القيم الافتراضية)
+const parseListQuery = (name, query) => {
+    const resource = getResource(name);
+    const sortKeys = Object.keys(resource.sortable);
+
+    const keys = {
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+        sort: Joi.string().valid(...sortKeys, ...sortKeys.map(key => `-${key}`)).default(resource.defaultSort),
+        q: Joi.string().trim().max(100).allow(''),
+        from: Joi.date().iso(),
+        to: Joi.date().iso()
+    };
+    for (const [filter, definition] of Object.entries(resource.filters)) {
+        keys[filter] = definition.schema;
+    }
+
+    return Joi.object(keys).validate(query);
+};
+
+// % و _ في نص البحث تُعامل كحروف عادية
+const escapeLike = (value) => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+// WHERE و ORDER BY والمعاملات من القيم بعد التحقق (بدون LIMIT، ليُستخدم في التصدير أيضاً)
+// groupScope: مجموعات المشرف (null = الكل)، تقصر قوائم الطلاب على أعضائها
+const buildListQuery = (name, value, { groupScope = null } = {}) => {
+    const resource = getResource(name);
+    const params = [];
+    const param = (paramValue) => {
+        params.push(paramValue);
+        return `$${params.length}`;
+    };
+
+    const conditions = [];
+    if (groupScope !== null && resource.studentColumn) {
+        conditions.push(`${resource.studentColumn} IN (SELECT student_id FROM group_members WHERE group_id = ANY(${param(groupScope)}::int[]))`);
+    }
+    if (value.q) {
+        const pattern = param(`%${escapeLike(value.q)}%`);
+        conditions.push(`(${resource.searchColumns.map(column => `${column} ILIKE ${pattern}`).join(' OR ')})`);
+    }
+    if (value.from) conditions.push(`${resource.dateColumn} >= ${param(value.from)}`);
+    if (value.to) conditions.push(`${resource.dateColumn} <= ${param(value.to)}`);
+
+    const filters = {};
+    for (const [filter, definition] of Object.entries(resource.filters)) {
+        if (value[filter] === undefined) continue;
+        filters[filter] = value[filter];
+        conditions.push(definition.condition(value[filter], param));
+    }
+
+    const descending = value.sort.startsWith('-');
+    const sortColumn = resource.sortable[descending ? value.sort.slice(1) : value.sort];
+    const direction = descending ? 'DESC NULLS LAST' : 'ASC NULLS LAST';
+
+    return {
+        select: resource.select,
+        from: resource.from,
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        orderBy: `ORDER BY ${sortColumn} ${direction}, ${resource.idColumn} ${descending ? 'DESC' : 'ASC'}`,
+        params,
+        filters
+    };
+};
+
+// صفحة واحدة من القائمة داخل الرد الموحد
+const listResource = async (name, value, options) => {
+    const { select, from, where, orderBy, params, filters } = buildListQuery(name, value, options);
+
+    const totalRes = await pool.query(`SELECT COUNT(*)::int as count FROM ${from} ${where}`, params);
+    const rowsRes = await pool.query(
+        `SELECT ${select} FROM ${from} ${where} ${orderBy}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, value.limit, (value.page - 1) * value.limit]
+    );
+
+    const total = totalRes.rows[0].count;
+    return {
+        data: rowsRes.rows,
+        pagination: {
+            page: value.page,
+            limit: value.limit,
+            total,
+            totalPages: Math.ceil(total / value.limit)
+        },
+        sort: value.sort,
+        filters: {
+            ...filters,
+            ...(value.q ? { q: value.q } : {}),
+            ...(value.from ? { from: value.from } : {}),
+            ...(value.to ? { to: value.to } : {})
+        }
+    };
+};
+
+module.exports = {
+    MAX_LIMIT,
+    parseListQuery,
+    buildListQuery,
+    listResource
+};
@@ -0,0 +1,119 @@
+/*
+ * =================================================================================
+ * MATERIALS.JS - Subject & Lesson Materials (PDF / Images / Maps)
+ * =================================================================================
+ * ✅ بيانات الملفات في Postgres والملف نفسه في محول التخزين (upload.js)
+ * ✅ حذف المادة يحذف الملف من التخزين قبل حذف الصف
+ */
+
+const { pool } = require('./database');
+const { getStorage } = require('./upload');
+
+const MATERIAL_COLUMNS = `id, subject_id, lesson_id, kind, title, original_name, mime_type, size_bytes,
+    storage_provider, storage_key, url, uploaded_by, created_at`;
+
+const formatMaterial = (row) => ({
+    id: row.id,
+    subjectId: row.subject_id,
+    lessonId: row.lesson_id,
+    kind: row.kind,
+    title: row.title,
+    originalName: row.original_name,
+    mimeType: row.mime_type,
+    sizeBytes: row.size_bytes,
+    downloadUrl: `/api/materials/${row.id}/download`,
+    uploadedBy: row.uploaded_by,
+    createdAt: row.created_at
+});
+
+const listMaterials = async ({ subjectId, lessonId } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (subjectId) {
+        params.push(subjectId);
+        conditions.push(`subject_id = $${params.length}`);
+    }
+    if (lessonId) {
+        params.push(lessonId);
+        conditions.push(`lesson_id = $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const res = await pool.query(
+        `SELECT ${MATERIAL_COLUMNS} FROM materials ${where} ORDER BY lesson_id ASC NULLS FIRST, created_at ASC`,
+        params
+    );
+    return res.rows;
+};
+
+const getMaterial = async (materialId) => {
+    const res = await pool.query(`SELECT ${MATERIAL_COLUMNS} FROM materials WHERE id = $1`, [materialId]);
+    return res.rows[0] || null;
+};
+
+// رفع الملف ثم حفظ بياناته؛ إذا فشل الحفظ نحذف الملف المرفوع حتى لا يبقى يتيماً
+const createMaterial = async (file, { subjectId, lessonId, kind, title, uploadedBy }) => {
+    const storage = getStorage();
+    const stored = await storage.save(file.buffer, {
+        folder: `materials/${subjectId}`,
+        originalName: file.originalname
+    });
+
+    try {
+        const res = await pool.query(
+            `INSERT INTO materials
+                (subject_id, lesson_id, kind, title, original_name, mime_type, size_bytes, storage_provider, storage_key, url, uploaded_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING ${MATERIAL_COLUMNS}`,
+            [subjectId, lessonId || null, kind, title || file.originalname, file.originalname, file.mimetype,
+                file.size, storage.name, stored.key, stored.url, uploadedBy]
+        );
+        return res.rows[0];
+    } catch (err) {
+        await storage.remove(stored.key).catch(removeErr => console.error('Error removing orphaned upload:', removeErr));
+        throw err;
+    }
+};
+
+// الحذف من محول التخزين الذي رُفع إليه الملف (وليس المحول الحالي)
+const removeStoredFiles = async (rows) => {
+    for (const row of rows) {
+        await getStorage(row.storage_provider).remove(row.storage_key);
+    }
+};
+
+const deleteMaterial = async (materialId) => {
+    const material = await getMaterial(materialId);
+    if (!material) return false;
+
+    await removeStoredFiles([material]);
+    await pool.query('DELETE FROM materials WHERE id = $1', [materialId]);
+    return true;
+};
+
+// قبل حذف مادة/وحدة/درس: حذف ملفاتها من التخزين (الصفوف تُحذف بـ ON DELETE CASCADE)
+const removeMaterialFiles = async ({ subjectId, unitId, lessonId }) => {
+    let res;
+    if (subjectId) {
+        res = await pool.query('SELECT storage_provider, storage_key FROM materials WHERE subject_id = $1', [subjectId]);
+    } else if (unitId) {
+        res = await pool.query(
+            `SELECT m.storage_provider, m.storage_key FROM materials m
+             JOIN lessons l ON m.lesson_id = l.id
+             WHERE l.unit_id = $1`,
+            [unitId]
+        );
+    } else {
+        res = await pool.query('SELECT storage_provider, storage_key FROM materials WHERE lesson_id = $1', [lessonId]);
+    }
+    await removeStoredFiles(res.rows);
+};
+
+module.exports = {
+    formatMaterial,
+    listMaterials,
+    getMaterial,
+    createMaterial,
+    deleteMaterial,
+    removeMaterialFiles
+};
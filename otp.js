@@ -0,0 +1,108 @@
+/*
+ * =================================================================================
+ * OTP.JS - One-Time Codes (Generation, Hashed Storage, Verification)
+ * =================================================================================
+ * ✅ توليد الرمز بـ crypto.randomInt بدلاً من Math.random
+ * ✅ تخزين HMAC للرمز فقط (لا يُحفظ الرمز نفسه في الكاش)
+ * ✅ كل رمز مرتبط بغرض: register / login / email-change / delete-account
+ * ✅ عدد محاولات محدود لكل رمز ثم يُلغى، ومهلة قبل إعادة الإرسال
+ * ✅ العدادات (المحاولات والحد اليومي) ذرية عبر cache.incr فلا تتجاوزها الطلبات المتزامنة
+ * ✅ مقارنة بزمن ثابت (timingSafeEqual) + الحد اليومي otp_limit كما هو
+ * ✅ الرمز الصحيح يُستهلك ذرياً (cache.delIfEquals): طلبان متزامنان بنفس الرمز لا ينجحان معاً
+ */
+
+const crypto = require('crypto');
+const cache = require('./cache');
+const { OTP_SECRET } = require('./config');
+
+const PURPOSES = ['register', 'login', 'email-change', 'delete-account'];
+
+const CODE_TTL_SECONDS = 600;
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const DAILY_LIMIT = 5;
+const DAILY_LIMIT_TTL = 86400;
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const codeKey = (email, purpose) => `otp:${purpose}:${normalizeEmail(email)}`;
+const attemptsKey = (email, purpose) => `otp_attempts:${purpose}:${normalizeEmail(email)}`;
+const cooldownKey = (email, purpose) => `otp_cooldown:${purpose}:${normalizeEmail(email)}`;
+const limitKey = (email) => `otp_limit:${normalizeEmail(email)}`;
+
+// الغرض والبريد جزء من الـ HMAC، فرمز التسجيل لا يصلح لحذف الحساب
+const hashCode = (email, purpose, code) => crypto
+    .createHmac('sha256', OTP_SECRET)
+    .update(`${purpose}:${normalizeEmail(email)}:${code}`)
+    .digest('hex');
+
+const generateCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a, 'hex');
+    const bufferB = Buffer.from(b, 'hex');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// يرجع { code, expiresIn } أو { error, status, retryAfter } عند تجاوز المهلة أو الحد اليومي
+const issue = async (email, purpose) => {
+    if (!PURPOSES.includes(purpose)) throw new Error(`Unknown OTP purpose: ${purpose}`);
+
+    if (await cache.get(cooldownKey(email, purpose))) {
+        return { status: 429, error: 'Please wait before requesting a new OTP', retryAfter: RESEND_COOLDOWN_SECONDS };
+    }
+
+    if (await cache.incr(limitKey(email), DAILY_LIMIT_TTL) > DAILY_LIMIT) {
+        return { status: 429, error: 'Too many OTP requests today' };
+    }
+
+    const code = generateCode();
+    await cache.del(attemptsKey(email, purpose));
+    await cache.setEx(codeKey(email, purpose), CODE_TTL_SECONDS, hashCode(email, purpose, code));
+    await cache.setEx(cooldownKey(email, purpose), RESEND_COOLDOWN_SECONDS, '1');
+
+    return { code, expiresIn: CODE_TTL_SECONDS };
+};
+
+// الرمز الصحيح يُستهلك (لا يصلح مرة ثانية)
+// يرجع { valid: true } أو { valid: false, status, error, attemptsLeft }
+const verify = async (email, purpose, code) => {
+    const key = codeKey(email, purpose);
+    const storedHash = await cache.get(key);
+    if (!storedHash) return { valid: false, status: 400, error: 'Invalid or expired OTP' };
+
+    // المحاولة تُحسب قبل المقارنة، فلا تُقارن أكثر من MAX_ATTEMPTS محاولة لنفس الرمز
+    const attempts = await cache.incr(attemptsKey(email, purpose), CODE_TTL_SECONDS);
+    const hash = hashCode(email, purpose, String(code));
+    // الحذف المشروط هو الاستهلاك: إن سبقنا طلب آخر بنفس الرمز يرجع false ونعامله كرمز خاطئ
+    if (attempts <= MAX_ATTEMPTS && safeEqual(storedHash, hash) && await cache.delIfEquals(key, hash)) {
+        await cache.del(attemptsKey(email, purpose));
+        return { valid: true };
+    }
+
+    if (attempts >= MAX_ATTEMPTS) {
+        await cache.del(key);
+        await cache.del(attemptsKey(email, purpose));
+        return { valid: false, status: 429, error: 'Too many failed attempts, request a new OTP', attemptsLeft: 0 };
+    }
+
+    return { valid: false, status: 400, error: 'Invalid OTP', attemptsLeft: MAX_ATTEMPTS - attempts };
+};
+
+// كل مفاتيح OTP للبريد (عند حذف الحساب)
+const clearForEmail = async (email) => {
+    for (const purpose of PURPOSES) {
+        await cache.del(codeKey(email, purpose));
+        await cache.del(attemptsKey(email, purpose));
+        await cache.del(cooldownKey(email, purpose));
+    }
+    await cache.del(limitKey(email));
+};
+
+module.exports = {
+    PURPOSES,
+    CODE_TTL_SECONDS,
+    issue,
+    verify,
+    clearForEmail
+};
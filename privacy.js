@@ -0,0 +1,167 @@
+/*
+ * =================================================================================
+ * PRIVACY.JS - Personal Data Export & Account Deletion
+ * =================================================================================
+ * ✅ تصدير كل بيانات الطالب (JSON أو ZIP بملف لكل قسم)
+ * ✅ حذف الحساب بالاعتماد على ON DELETE CASCADE في قاعدة البيانات
+ * ✅ تنظيف مفاتيح الكاش الخاصة بالطالب وسجل حذف بدون بيانات شخصية
+ * ✅ حذف رسائل البريد المرسلة لعناوين الطالب من email_log (لا تظهر للإدارة ولا يُعاد إرسالها)
+ */
+
+const archiver = require('archiver');
+const { pool } = require('./database');
+const cache = require('./cache');
+const { getStorage } = require('./upload');
+const leaderboard = require('./leaderboard');
+const analytics = require('./analytics');
+const otp = require('./otp');
+const { DELETION_REASONS } = require('./constants');
+
+// كل قسم في التصدير = استعلام واحد على student_id
+// (لا نصدّر token الجلسات أو مفاتيح التخزين الداخلية)
+const EXPORT_SECTIONS = {
+    quiz_results: `SELECT id, quiz_name, subject_id, score, total_questions, correct_answers, created_at
+                   FROM quiz_results WHERE student_id = $1 ORDER BY created_at ASC`,
+    quiz_attempts: `SELECT id, subject_id, quiz_id, status, started_at, expires_at, submitted_at, result_id
+                    FROM quiz_attempts WHERE student_id = $1 ORDER BY started_at ASC`,
+    quiz_answers: `SELECT result_id, quiz_id, question_id, choice_ids, is_correct, time_spent_ms, created_at
+                   FROM quiz_answers WHERE student_id = $1 ORDER BY id ASC`,
+    messages: `SELECT id, content, admin_reply, replied_at, reply_read, created_at
+               FROM messages WHERE student_id = $1 ORDER BY created_at ASC`,
+    activity_logs: `SELECT id, activity_type, subject_id, subject_name, score, timestamp
+                    FROM activity_logs WHERE student_id = $1 ORDER BY timestamp ASC`,
+    login_logs: `SELECT id, logintime, logouttime
+                 FROM login_logs WHERE student_id = $1 ORDER BY logintime ASC`,
+    fingerprints: `SELECT fingerprint, last_seen
+                   FROM student_fingerprints WHERE student_id = $1 ORDER BY last_seen ASC`,
+    sessions: `SELECT fingerprint, device_info, ip_address, created_at, last_activity
+               FROM active_sessions WHERE student_id = $1 ORDER BY created_at ASC`,
+    profile_changes: `SELECT actor_type, action, changes, created_at
+                      FROM student_audit_log WHERE student_id = $1 ORDER BY created_at ASC`
+};
+
+const collectStudentData = async (studentId) => {
+    const profileRes = await pool.query(
+        `SELECT id, name, email, avatar_url, progress, createdat, isblocked, blocked_reason, leaderboard_hidden
+         FROM students WHERE id = $1`,
+        [studentId]
+    );
+    const profile = profileRes.rows[0];
+    if (!profile) return null;
+
+    const data = {
+        exportedAt: new Date().toISOString(),
+        profile: { ...profile, progress: undefined },
+        progress: profile.progress || {}
+    };
+    for (const [section, sql] of Object.entries(EXPORT_SECTIONS)) {
+        const res = await pool.query(sql, [studentId]);
+        data[section] = res.rows;
+    }
+    return data;
+};
+
+// ZIP بملف JSON لكل قسم، يُكتب مباشرة في الرد
+const streamExportZip = (data, output) => {
+    return new Promise((resolve, reject) => {
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.on('error', reject);
+        output.on('close', resolve);
+        output.on('finish', resolve);
+        archive.pipe(output);
+        for (const [section, value] of Object.entries(data)) {
+            if (section === 'exportedAt') continue;
+            archive.append(JSON.stringify(value, null, 2), { name: `${section}.json` });
+        }
+        archive.append(JSON.stringify({ exportedAt: data.exportedAt, studentId: data.profile.id }, null, 2), { name: 'README.json' });
+        archive.finalize();
+    });
+};
+
+// كل مفاتيح الكاش المرتبطة بالطالب (بالمعرف والبريد والأجهزة)
+const purgeStudentCache = async (studentId, email, fingerprintList) => {
+    const keys = [
+        `student_results:${studentId}`,
+        `msg_limit:${studentId}`,
+        ...fingerprintList.map(fp => `login_limit:${fp}`)
+    ];
+    for (const key of keys) {
+        await cache.del(key);
+    }
+    await analytics.invalidateStudentAnalytics(studentId);
+    await otp.clearForEmail(email);
+};
+
+// حذف الحساب: سجل الحذف يحفظ أعداداً ورمز السبب فقط دون أي بيانات تعرّف الطالب
+// initiatedBy = 'student' | 'admin'، reason = أحد DELETION_REASONS
+const deleteStudentAccount = async (studentId, { reason = null, initiatedBy = 'student' } = {}) => {
+    const client = await pool.connect();
+    let student;
+    let fingerprintList;
+    try {
+        await client.query('BEGIN');
+        const studentRes = await client.query(
+            'SELECT id, email, createdat, avatar_key, avatar_provider FROM students WHERE id = $1 FOR UPDATE',
+            [studentId]
+        );
+        student = studentRes.rows[0];
+        if (!student) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const fpRes = await client.query('SELECT fingerprint FROM student_fingerprints WHERE student_id = $1', [studentId]);
+        fingerprintList = fpRes.rows.map(row => row.fingerprint);
+
+        const countsRes = await client.query(
+            `SELECT
+                (SELECT COUNT(*) FROM quiz_results WHERE student_id = $1)::int as quiz_results,
+                (SELECT COUNT(*) FROM messages WHERE student_id = $1)::int as messages,
+                (SELECT COUNT(*) FROM activity_logs WHERE student_id = $1)::int as activity_logs`,
+            [studentId]
+        );
+
+        await client.query(
+            `INSERT INTO account_deletions (initiated_by, reason, account_age_days, quiz_results, messages, activity_logs)
+             VALUES ($1, $2, GREATEST(0, EXTRACT(DAY FROM NOW() - $3::timestamptz))::int, $4, $5, $6)`,
+            [initiatedBy, DELETION_REASONS.includes(reason) ? reason : null, student.createdat, countsRes.rows[0].quiz_results, countsRes.rows[0].messages, countsRes.rows[0].activity_logs]
+        );
+
+        // email_log مرتبط بالعنوان وليس بالطالب: عنوانه الحالي وعناوينه السابقة من سجل التدقيق،
+        // إلا عنواناً يستخدمه طالب آخر الآن
+        await client.query(
+            `DELETE FROM email_log
+             WHERE LOWER(to_email) IN (
+                SELECT LOWER($2::text)
+                UNION SELECT LOWER(changes->'email'->>'from') FROM student_audit_log WHERE student_id = $1
+                UNION SELECT LOWER(changes->'email'->>'to') FROM student_audit_log WHERE student_id = $1
+             )
+             AND LOWER(to_email) NOT IN (SELECT LOWER(email) FROM students WHERE id <> $1 AND email IS NOT NULL)`,
+            [studentId, student.email]
+        );
+
+        // باقي الجداول تُحذف تلقائياً بـ ON DELETE CASCADE
+        await client.query('DELETE FROM students WHERE id = $1', [studentId]);
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    if (student.avatar_key) {
+        await getStorage(student.avatar_provider).remove(student.avatar_key)
+            .catch(err => console.error('Error removing avatar of deleted account:', err));
+    }
+    await purgeStudentCache(studentId, student.email, fingerprintList);
+    await leaderboard.invalidateLeaderboards();
+
+    return { deleted: true };
+};
+
+module.exports = {
+    collectStudentData,
+    streamExportZip,
+    deleteStudentAccount
+};
@@ -0,0 +1,179 @@
+/*
+ * =================================================================================
+ * PROFILES.JS - Student Profile, Avatar & Audit Trail
+ * =================================================================================
+ * ✅ تعديل الاسم والبريد والصورة الشخصية للطالب
+ * ✅ الصورة الشخصية عبر محول التخزين في upload.js
+ * ✅ سجل تدقيق لكل تعديل (من قام به، وما الذي تغير)
+ */
+
+const { pool } = require('./database');
+const { getStorage } = require('./upload');
+const leaderboard = require('./leaderboard');
+
+const PROFILE_COLUMNS = 'id, name, email, progress, isblocked, avatar_url, updated_at';
+
+// actor = { type: 'student' | 'admin', name }
+const recordAudit = async (client, studentId, actor, action, changes = {}) => {
+    await client.query(
+        `INSERT INTO student_audit_log (student_id, actor_type, actor, action, changes)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [studentId, actor.type, actor.name, action, JSON.stringify(changes)]
+    );
+};
+
+const getAuditLog = async (studentId) => {
+    const res = await pool.query(
+        `SELECT id, actor_type, actor, action, changes, created_at
+         FROM student_audit_log WHERE student_id = $1 ORDER BY created_at DESC, id DESC`,
+        [studentId]
+    );
+    return res.rows;
+};
+
+// بدون حساسية لحالة الأحرف (Ali@x.com و ali@x.com نفس البريد، ونفس رموز OTP)
+const isEmailTaken = async (email, exceptStudentId = null) => {
+    const res = await pool.query(
+        'SELECT id FROM students WHERE LOWER(email) = LOWER($1) AND id IS DISTINCT FROM $2',
+        [email, exceptStudentId]
+    );
+    return res.rows.length > 0;
+};
+
+// تعديل الحقول المرسلة فقط (name / email) وتسجيل الفرق في سجل التدقيق
+// يرجع null إذا لم يوجد الطالب
+const updateProfile = async (studentId, fields, actor) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const currentRes = await client.query(`SELECT ${PROFILE_COLUMNS} FROM students WHERE id = $1 FOR UPDATE`, [studentId]);
+        const current = currentRes.rows[0];
+        if (!current) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const changes = {};
+        for (const field of ['name', 'email']) {
+            if (fields[field] !== undefined && fields[field] !== current[field]) {
+                changes[field] = { from: current[field], to: fields[field] };
+            }
+        }
+        if (Object.keys(changes).length === 0) {
+            await client.query('ROLLBACK');
+            return current;
+        }
+
+        const updated = await client.query(
+            `UPDATE students SET
+                name = COALESCE($1, name),
+                email = COALESCE($2, email),
+                updated_at = NOW()
+             WHERE id = $3
+             RETURNING ${PROFILE_COLUMNS}`,
+            [changes.name ? changes.name.to : null, changes.email ? changes.email.to : null, studentId]
+        );
+        await recordAudit(client, studentId, actor, 'profile_update', changes);
+        await client.query('COMMIT');
+
+        if (changes.name) await leaderboard.invalidateLeaderboards();
+        return updated.rows[0];
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+// حذف ملف الصورة القديمة لا يُفشل العملية (الصف هو المرجع)
+const removeAvatarFile = async (row) => {
+    if (!row.avatar_key) return;
+    try {
+        await getStorage(row.avatar_provider).remove(row.avatar_key);
+    } catch (err) {
+        console.error('Error removing old avatar:', err);
+    }
+};
+
+const setAvatar = async (studentId, file, actor) => {
+    const currentRes = await pool.query('SELECT avatar_url, avatar_key, avatar_provider FROM students WHERE id = $1', [studentId]);
+    const current = currentRes.rows[0];
+    if (!current) return null;
+
+    const storage = getStorage();
+    const stored = await storage.save(file.buffer, { folder: 'avatars', originalName: file.originalname });
+    // الصور المحلية تُقدَّم عبر endpoint الصورة الشخصية
+    const avatarUrl = stored.url || `/api/students/${studentId}/avatar`;
+
+    const client = await pool.connect();
+    let updated;
+    try {
+        await client.query('BEGIN');
+        updated = await client.query(
+            `UPDATE students SET avatar_url = $1, avatar_key = $2, avatar_provider = $3, updated_at = NOW()
+             WHERE id = $4
+             RETURNING ${PROFILE_COLUMNS}`,
+            [avatarUrl, stored.key, storage.name, studentId]
+        );
+        await recordAudit(client, studentId, actor, 'avatar_update', { avatar: { from: current.avatar_url, to: avatarUrl } });
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        await storage.remove(stored.key).catch(removeErr => console.error('Error removing orphaned upload:', removeErr));
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    await removeAvatarFile(current);
+    return updated.rows[0];
+};
+
+const removeAvatar = async (studentId, actor) => {
+    const currentRes = await pool.query('SELECT avatar_url, avatar_key, avatar_provider FROM students WHERE id = $1', [studentId]);
+    const current = currentRes.rows[0];
+    if (!current) return null;
+
+    const client = await pool.connect();
+    let updated;
+    try {
+        await client.query('BEGIN');
+        updated = await client.query(
+            `UPDATE students SET avatar_url = NULL, avatar_key = NULL, avatar_provider = NULL, updated_at = NOW()
+             WHERE id = $1
+             RETURNING ${PROFILE_COLUMNS}`,
+            [studentId]
+        );
+        if (current.avatar_url) {
+            await recordAudit(client, studentId, actor, 'avatar_remove', { avatar: { from: current.avatar_url, to: null } });
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    await removeAvatarFile(current);
+    return updated.rows[0];
+};
+
+// مسار ملف الصورة المحلية (null إذا كانت في Cloudinary أو غير موجودة)
+const getLocalAvatarPath = async (studentId) => {
+    const res = await pool.query('SELECT avatar_key, avatar_provider FROM students WHERE id = $1', [studentId]);
+    const row = res.rows[0];
+    if (!row || !row.avatar_key) return null;
+    return getStorage(row.avatar_provider).getLocalPath(row.avatar_key);
+};
+
+module.exports = {
+    recordAudit,
+    getAuditLog,
+    isEmailTaken,
+    updateProfile,
+    setAvatar,
+    removeAvatar,
+    getLocalAvatarPath
+};
@@ -0,0 +1,136 @@
+/*
+ * =================================================================================
+ * QUIZSTATUS.JS - Quiz Locks & Scheduled Exam Windows (quiz_status)
+ * =================================================================================
+ * ✅ قفل/فتح المادة يدوياً مع رسالة للطالب
+ * ✅ نافذة زمنية مجدولة (opens_at / closes_at) للاختبارات
+ * ✅ كاش quiz_status_locks ينتهي عند أقرب موعد فتح/إغلاق
+ */
+
+const { pool } = require('./database');
+const cache = require('./cache');
+
+const CACHE_KEY = 'quiz_status_locks';
+const CACHE_TTL = 300;
+
+// الحالة الفعلية: القفل اليدوي أو خارج نافذة الاختبار
+const resolveLock = (row, now) => {
+    const beforeOpen = row.opens_at && now < new Date(row.opens_at);
+    const afterClose = row.closes_at && now >= new Date(row.closes_at);
+
+    return {
+        locked: Boolean(row.locked || beforeOpen || afterClose),
+        message: row.message || '',
+        opensAt: row.opens_at,
+        closesAt: row.closes_at
+    };
+};
+
+// أقرب موعد قادم يتغير عنده القفل (لضبط مدة الكاش)
+const secondsUntilNextChange = (rows, now) => {
+    let ttl = CACHE_TTL;
+    for (const row of rows) {
+        for (const boundary of [row.opens_at, row.closes_at]) {
+            if (!boundary) continue;
+            const seconds = Math.ceil((new Date(boundary) - now) / 1000);
+            if (seconds > 0 && seconds < ttl) ttl = seconds;
+        }
+    }
+    return ttl;
+};
+
+const getQuizLocks = async () => {
+    const cached = await cache.getJSON(CACHE_KEY);
+    if (cached) return cached;
+
+    const res = await pool.query(
+        'SELECT subject_id, locked, message, opens_at, closes_at FROM quiz_status ORDER BY id ASC'
+    );
+    const now = new Date();
+
+    const locks = {};
+    for (const row of res.rows) {
+        locks[row.subject_id] = resolveLock(row, now);
+    }
+
+    await cache.setJSON(CACHE_KEY, secondsUntilNextChange(res.rows, now), locks);
+    return locks;
+};
+
+const isSubjectLocked = async (subjectId) => {
+    const locks = await getQuizLocks();
+    return locks[subjectId] || null;
+};
+
+// إعدادات المحاولات للمادة (الحد الأقصى ومدة الاختبار)
+const getSubjectSettings = async (subjectId) => {
+    const res = await pool.query(
+        'SELECT max_attempts, time_limit_seconds FROM quiz_status WHERE subject_id = $1',
+        [subjectId]
+    );
+    const row = res.rows[0] || {};
+    return {
+        maxAttempts: row.max_attempts || null,
+        timeLimitSeconds: row.time_limit_seconds || null
+    };
+};
+
+const listQuizStatus = async () => {
+    const res = await pool.query(
+        `SELECT subject_id, locked, message, opens_at, closes_at, max_attempts, time_limit_seconds, updated_at
+         FROM quiz_status ORDER BY id ASC`
+    );
+    const now = new Date();
+    return res.rows.map(row => ({ ...row, effective: resolveLock(row, now) }));
+};
+
+// الحقول الاختيارية: غير المرسلة تبقى كما هي، و null (أو '' للرسالة) يمسح القيمة صراحةً
+const OPTIONAL_COLUMNS = {
+    message: 'message',
+    opensAt: 'opens_at',
+    closesAt: 'closes_at',
+    maxAttempts: 'max_attempts',
+    timeLimitSeconds: 'time_limit_seconds'
+};
+
+const updateQuizStatus = async (subjectId, fields) => {
+    const { locked, message, opensAt, closesAt, maxAttempts, timeLimitSeconds } = fields;
+    const updates = Object.keys(OPTIONAL_COLUMNS)
+        .filter(key => fields[key] !== undefined)
+        .map(key => `${OPTIONAL_COLUMNS[key]} = EXCLUDED.${OPTIONAL_COLUMNS[key]}`);
+
+    const res = await pool.query(
+        `INSERT INTO quiz_status (subject_id, locked, message, opens_at, closes_at, max_attempts, time_limit_seconds, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+         ON CONFLICT (subject_id) DO UPDATE SET
+            ${['locked = EXCLUDED.locked', ...updates, 'updated_at = NOW()'].join(',\n            ')}
+         RETURNING subject_id, locked, message, opens_at, closes_at, max_attempts, time_limit_seconds, updated_at`,
+        [subjectId, locked, message || '', opensAt || null, closesAt || null, maxAttempts || null, timeLimitSeconds || null]
+    );
+
+    await cache.del(CACHE_KEY);
+
+    const row = res.rows[0];
+    return { ...row, effective: resolveLock(row, new Date()) };
+};
+
+// صف حالة لكل مادة في الكتالوج (مفتوحة افتراضياً)
+const ensureSubjectStatus = async (subjectId) => {
+    await pool.query('INSERT INTO quiz_status (subject_id) VALUES ($1) ON CONFLICT (subject_id) DO NOTHING', [subjectId]);
+    await cache.del(CACHE_KEY);
+};
+
+const removeSubjectStatus = async (subjectId) => {
+    await pool.query('DELETE FROM quiz_status WHERE subject_id = $1', [subjectId]);
+    await cache.del(CACHE_KEY);
+};
+
+module.exports = {
+    ensureSubjectStatus,
+    removeSubjectStatus,
+    getQuizLocks,
+    isSubjectLocked,
+    getSubjectSettings,
+    listQuizStatus,
+    updateQuizStatus
+};
@@ -0,0 +1,267 @@
+/*
+ * =================================================================================
+ * QUIZZES.JS - Question Bank & Server-Side Grading
+ * =================================================================================
+ * ✅ بنك أسئلة لكل مادة (quizzes → questions → question_choices)
+ * ✅ تقديم الاختبار بترتيب عشوائي للأسئلة والاختيارات بدون الإجابات
+ * ✅ تصحيح الإجابات على السيرفر بدلاً من الوثوق بنتيجة العميل
+ */
+
+const { pool } = require('./database');
+
+// خلط عشوائي (Fisher-Yates) دون تعديل المصفوفة الأصلية
+const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+const listQuizzes = async ({ subjectId, publishedOnly = false } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (subjectId) {
+        params.push(subjectId);
+        conditions.push(`q.subject_id = $${params.length}`);
+    }
+    if (publishedOnly) conditions.push('q.is_published = TRUE');
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const res = await pool.query(
+        `SELECT q.id, q.subject_id, q.title, q.description, q.is_published, q.time_limit_seconds, q.created_at, q.updated_at,
+                (SELECT COUNT(*) FROM questions qs WHERE qs.quiz_id = q.id)::int as question_count
+         FROM quizzes q
+         ${where}
+         ORDER BY q.subject_id ASC, q.created_at ASC`,
+        params
+    );
+    return res.rows;
+};
+
+// مادة لها اختبار منشور في بنك الأسئلة تُصحح على السيرفر فقط
+const hasPublishedQuizzes = async (subjectId) => {
+    const res = await pool.query(
+        'SELECT 1 FROM quizzes WHERE subject_id = $1 AND is_published = TRUE LIMIT 1',
+        [subjectId]
+    );
+    return res.rows.length > 0;
+};
+
+// الاختبار كاملاً مع أسئلته واختياراته (والإجابات الصحيحة إذا طُلبت)
+const getQuiz = async (quizId, { includeAnswers = false } = {}) => {
+    const quizRes = await pool.query(
+        'SELECT id, subject_id, title, description, is_published, time_limit_seconds, created_at, updated_at FROM quizzes WHERE id = $1',
+        [quizId]
+    );
+    const quiz = quizRes.rows[0];
+    if (!quiz) return null;
+
+    const questionsRes = await pool.query(
+        'SELECT id, text, explanation, position FROM questions WHERE quiz_id = $1 ORDER BY position ASC, id ASC',
+        [quizId]
+    );
+    const choicesRes = await pool.query(
+        `SELECT c.id, c.question_id, c.text, c.is_correct
+         FROM question_choices c
+         JOIN questions q ON c.question_id = q.id
+         WHERE q.quiz_id = $1
+         ORDER BY c.position ASC, c.id ASC`,
+        [quizId]
+    );
+
+    quiz.questions = questionsRes.rows.map(question => {
+        const choices = choicesRes.rows.filter(c => c.question_id === question.id);
+        return {
+            ...question,
+            choices: choices.map(c => includeAnswers
+                ? { id: c.id, text: c.text, isCorrect: c.is_correct }
+                : { id: c.id, text: c.text }),
+            multipleAnswers: choices.filter(c => c.is_correct).length > 1
+        };
+    });
+
+    return quiz;
+};
+
+// ترتيب محفوظ مسبقاً (عند استئناف محاولة) بدلاً من خلط جديد
+// الأسئلة التي أضيفت بعد بدء المحاولة لا تظهر فيها
+const applyOrder = (questions, order) => order
+    .map(entry => {
+        const question = questions.find(q => q.id === entry.id);
+        if (!question) return null;
+        const choices = entry.choiceIds
+            .map(id => question.choices.find(c => c.id === id))
+            .filter(Boolean);
+        return { ...question, choices };
+    })
+    .filter(Boolean);
+
+// نسخة الطالب: ترتيب عشوائي (أو الترتيب المحفوظ) وبدون الإجابات أو الشرح
+const getQuizForStudent = async (quizId, order = null) => {
+    const quiz = await getQuiz(quizId);
+    if (!quiz || !quiz.is_published) return null;
+
+    const questions = order
+        ? applyOrder(quiz.questions, order)
+        : shuffle(quiz.questions).map(question => ({ ...question, choices: shuffle(question.choices) }));
+
+    return {
+        id: quiz.id,
+        subjectId: quiz.subject_id,
+        title: quiz.title,
+        description: quiz.description,
+        timeLimitSeconds: quiz.time_limit_seconds,
+        questions: questions.map(question => ({
+            id: question.id,
+            text: question.text,
+            multipleAnswers: question.multipleAnswers,
+            choices: question.choices
+        }))
+    };
+};
+
+// الترتيب الذي يُحفظ مع المحاولة لاستئنافها لاحقاً
+const getQuestionOrder = (studentQuiz) => studentQuiz.questions.map(question => ({
+    id: question.id,
+    choiceIds: question.choices.map(c => c.id)
+}));
+
+const createQuiz = async ({ subjectId, title, description, isPublished, timeLimitSeconds }) => {
+    const res = await pool.query(
+        `INSERT INTO quizzes (subject_id, title, description, is_published, time_limit_seconds)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, subject_id, title, description, is_published, time_limit_seconds, created_at, updated_at`,
+        [subjectId, title, description || null, isPublished, timeLimitSeconds || null]
+    );
+    return res.rows[0];
+};
+
+const updateQuiz = async (quizId, { subjectId, title, description, isPublished, timeLimitSeconds }) => {
+    const res = await pool.query(
+        `UPDATE quizzes SET
+            subject_id = COALESCE($1, subject_id),
+            title = COALESCE($2, title),
+            description = COALESCE($3, description),
+            is_published = COALESCE($4, is_published),
+            time_limit_seconds = CASE WHEN $6 THEN $5 ELSE time_limit_seconds END,
+            updated_at = NOW()
+         WHERE id = $7
+         RETURNING id, subject_id, title, description, is_published, time_limit_seconds, created_at, updated_at`,
+        [subjectId, title, description, isPublished, timeLimitSeconds || null, timeLimitSeconds !== undefined, quizId]
+    );
+    return res.rows[0] || null;
+};
+
+const deleteQuiz = async (quizId) => {
+    const res = await pool.query('DELETE FROM quizzes WHERE id = $1', [quizId]);
+    return res.rowCount > 0;
+};
+
+const insertChoices = async (client, questionId, choices) => {
+    for (let i = 0; i < choices.length; i++) {
+        await client.query(
+            'INSERT INTO question_choices (question_id, text, is_correct, position) VALUES ($1, $2, $3, $4)',
+            [questionId, choices[i].text, choices[i].isCorrect, i]
+        );
+    }
+};
+
+const addQuestion = async (quizId, { text, explanation, position, choices }) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const res = await client.query(
+            'INSERT INTO questions (quiz_id, text, explanation, position) VALUES ($1, $2, $3, $4) RETURNING id',
+            [quizId, text, explanation || null, position]
+        );
+        const questionId = res.rows[0].id;
+        await insertChoices(client, questionId, choices);
+        await client.query('UPDATE quizzes SET updated_at = NOW() WHERE id = $1', [quizId]);
+        await client.query('COMMIT');
+        return questionId;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+// تعديل السؤال يستبدل اختياراته بالكامل
+const updateQuestion = async (questionId, { text, explanation, position, choices }) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const res = await client.query(
+            'UPDATE questions SET text = $1, explanation = $2, position = $3 WHERE id = $4 RETURNING quiz_id',
+            [text, explanation || null, position, questionId]
+        );
+        if (res.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        await client.query('DELETE FROM question_choices WHERE question_id = $1', [questionId]);
+        await insertChoices(client, questionId, choices);
+        await client.query('UPDATE quizzes SET updated_at = NOW() WHERE id = $1', [res.rows[0].quiz_id]);
+        await client.query('COMMIT');
+        return res.rows[0].quiz_id;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+const deleteQuestion = async (questionId) => {
+    const res = await pool.query('DELETE FROM questions WHERE id = $1', [questionId]);
+    return res.rowCount > 0;
+};
+
+// تصحيح الإجابات: السؤال صحيح فقط إذا طابقت الاختيارات المحددة الإجابات الصحيحة تماماً
+const gradeAnswers = (quiz, answers) => {
+    const submitted = new Map(answers.map(a => [a.questionId, a]));
+
+    const results = quiz.questions.map(question => {
+        const correctIds = question.choices.filter(c => c.isCorrect).map(c => c.id);
+        const answer = submitted.get(question.id);
+        // نتجاهل أي اختيار لا ينتمي لهذا السؤال
+        const choiceIds = answer
+            ? answer.choiceIds.filter(id => question.choices.some(c => c.id === id))
+            : [];
+        const correct = choiceIds.length === correctIds.length && correctIds.every(id => choiceIds.includes(id));
+        return {
+            questionId: question.id,
+            choiceIds,
+            correct,
+            timeSpentMs: answer && answer.timeSpentMs !== undefined ? answer.timeSpentMs : null
+        };
+    });
+
+    const totalQuestions = results.length;
+    const correctAnswers = results.filter(r => r.correct).length;
+
+    return {
+        totalQuestions,
+        correctAnswers,
+        score: totalQuestions ? Math.round((correctAnswers / totalQuestions) * 100) : 0,
+        results
+    };
+};
+
+module.exports = {
+    listQuizzes,
+    hasPublishedQuizzes,
+    getQuiz,
+    getQuizForStudent,
+    getQuestionOrder,
+    createQuiz,
+    updateQuiz,
+    deleteQuiz,
+    addQuestion,
+    updateQuestion,
+    deleteQuestion,
+    gradeAnswers
+};
@@ -0,0 +1,165 @@
+/*
+ * =================================================================================
+ * REPORTS.JS - Item Analysis Reports (quiz_answers)
+ * =================================================================================
+ * ✅ نسبة الإجابة الصحيحة لكل سؤال ومتوسط الوقت المستغرق
+ * ✅ تكرار اختيار المشتتات (الاختيارات الخاطئة)
+ * ✅ معامل التمييز بين أعلى 27% وأدنى 27% من الطلاب
+ */
+
+const { pool } = require('./database');
+
+// نسبة المجموعتين العليا والدنيا في معامل التمييز (المعيار الشائع 27%)
+const DISCRIMINATION_GROUP_RATIO = 0.27;
+
+// شروط التصفية المشتركة (المادة، الاختبار، الفترة الزمنية، ونطاق مجموعات المشرف)
+const buildFilters = ({ subjectId, quizId, from, to }, groupScope) => {
+    const conditions = [];
+    const params = [];
+    if (groupScope) {
+        params.push(groupScope);
+        conditions.push(`r.student_id IN (SELECT student_id FROM group_members WHERE group_id = ANY($${params.length}::int[]))`);
+    }
+    if (subjectId) {
+        params.push(subjectId);
+        conditions.push(`r.subject_id = $${params.length}`);
+    }
+    if (quizId) {
+        params.push(quizId);
+        conditions.push(`a.quiz_id = $${params.length}`);
+    }
+    if (from) {
+        params.push(from);
+        conditions.push(`r.created_at >= $${params.length}`);
+    }
+    if (to) {
+        params.push(to);
+        conditions.push(`r.created_at <= $${params.length}`);
+    }
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+};
+
+const round = (value, digits = 3) => value === null || value === undefined
+    ? null
+    : Math.round(parseFloat(value) * 10 ** digits) / 10 ** digits;
+
+// groupScope: مجموعات المشرف (null = كل الطلاب)
+const itemAnalysis = async (filters = {}, { groupScope = null } = {}) => {
+    const { where, params } = buildFilters(filters, groupScope);
+
+    const statsRes = await pool.query(
+        `SELECT
+            a.question_id, a.quiz_id, q.text,
+            COUNT(*)::int as responses,
+            AVG(a.is_correct::int) as correct_rate,
+            AVG(a.time_spent_ms) as avg_time_ms
+         FROM quiz_answers a
+         JOIN quiz_results r ON a.result_id = r.id
+         JOIN questions q ON a.question_id = q.id
+         ${where}
+         GROUP BY a.question_id, a.quiz_id, q.text
+         ORDER BY a.quiz_id ASC, a.question_id ASC`,
+        params
+    );
+
+    const distractorsRes = await pool.query(
+        `SELECT a.question_id, c.id as choice_id, c.text, COUNT(*)::int as count
+         FROM quiz_answers a
+         JOIN quiz_results r ON a.result_id = r.id
+         CROSS JOIN LATERAL unnest(a.choice_ids) AS selected(choice_id)
+         JOIN question_choices c ON c.id = selected.choice_id
+         ${where ? `${where} AND` : 'WHERE'} c.is_correct = FALSE
+         GROUP BY a.question_id, c.id, c.text
+         ORDER BY count DESC`,
+        params
+    );
+
+    params.push(DISCRIMINATION_GROUP_RATIO);
+    const ratioParam = `$${params.length}`;
+    const discriminationRes = await pool.query(
+        `WITH scoped AS (
+            SELECT DISTINCT r.id, r.score
+            FROM quiz_answers a
+            JOIN quiz_results r ON a.result_id = r.id
+            ${where}
+         ),
+         ranked AS (
+            SELECT id,
+                   ROW_NUMBER() OVER (ORDER BY score DESC, id ASC) as rn,
+                   COUNT(*) OVER () as n
+            FROM scoped
+         ),
+         grouped AS (
+            SELECT id,
+                   CASE
+                       WHEN rn <= CEIL(n * ${ratioParam}::numeric) THEN 'top'
+                       WHEN rn > n - CEIL(n * ${ratioParam}::numeric) THEN 'bottom'
+                   END as grp
+            FROM ranked
+         )
+         SELECT a.question_id,
+                AVG(a.is_correct::int) FILTER (WHERE g.grp = 'top') as p_top,
+                AVG(a.is_correct::int) FILTER (WHERE g.grp = 'bottom') as p_bottom
+         FROM quiz_answers a
+         JOIN grouped g ON a.result_id = g.id
+         WHERE g.grp IS NOT NULL
+         GROUP BY a.question_id`,
+        params
+    );
+
+    const questions = statsRes.rows.map(row => {
+        const discrimination = discriminationRes.rows.find(d => d.question_id === row.question_id) || {};
+        const hasBothGroups = discrimination.p_top !== null && discrimination.p_top !== undefined &&
+            discrimination.p_bottom !== null && discrimination.p_bottom !== undefined;
+
+        return {
+            questionId: row.question_id,
+            quizId: row.quiz_id,
+            text: row.text,
+            responses: row.responses,
+            correctRate: round(row.correct_rate),
+            avgTimeMs: row.avg_time_ms === null ? null : Math.round(parseFloat(row.avg_time_ms)),
+            discriminationIndex: hasBothGroups
+                ? round(parseFloat(discrimination.p_top) - parseFloat(discrimination.p_bottom))
+                : null,
+            distractors: distractorsRes.rows
+                .filter(d => d.question_id === row.question_id)
+                .map(d => ({
+                    choiceId: d.choice_id,
+                    text: d.text,
+                    count: d.count,
+                    rate: round(d.count / row.responses)
+                }))
+        };
+    });
+
+    return {
+        filters,
+        totalQuestions: questions.length,
+        questions
+    };
+};
+
+// صاحب النتيجة (للتحقق من نطاق المشرف)، أو null إذا لم توجد
+const getResultStudentId = async (resultId) => {
+    const res = await pool.query('SELECT student_id FROM quiz_results WHERE id = $1', [resultId]);
+    return res.rows.length ? res.rows[0].student_id : null;
+};
+
+// إجابات نتيجة واحدة سؤالاً بسؤال
+const getResultAnswers = async (resultId) => {
+    const res = await pool.query(
+        `SELECT a.question_id, q.text, a.choice_ids, a.is_correct, a.time_spent_ms
+         FROM quiz_answers a
+         JOIN questions q ON a.question_id = q.id
+         WHERE a.result_id = $1
+         ORDER BY a.id ASC`,
+        [resultId]
+    );
+    return res.rows;
+};
+
+module.exports = { itemAnalysis, getResultStudentId, getResultAnswers };
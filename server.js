@@ -11,6 +11,7 @@ require('dotenv').config();
 // 1. الثوابت والإعدادات
 const PORT = process.env.PORT || 3000;
 const DB_URL = process.env.DATABASE_URL;
+const MESSAGE_DAILY_LIMIT = 5;
 
 // 2. الملحقات
 const express = require('express');
@@ -19,6 +20,26 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const cors = require('cors');
+const { validateRequest, schemas } = require('./validation');
+const { signAdminTokens, verifyAdminToken, findAdminById, authenticateAdmin, requireRole } = require('./auth');
+const { getBearerToken, createSession, findSession, startExpiryTimer, revokeSession, revokeStudentSessions, authenticateStudent, optionalStudent, requireSelf } = require('./sessions');
+const fingerprints = require('./fingerprints');
+const quizStatus = require('./quizStatus');
+const quizzes = require('./quizzes');
+const attempts = require('./attempts');
+const reports = require('./reports');
+const leaderboard = require('./leaderboard');
+const catalog = require('./catalog');
+const materials = require('./materials');
+const { upload, materialUpload, validateMaterialFile, getStorage } = require('./upload');
+const profiles = require('./profiles');
+const privacy = require('./privacy');
+const listing = require('./listing');
+const adminExports = require('./adminExports');
+const studentImport = require('./studentImport');
+const groups = require('./groups');
+const analytics = require('./analytics');
+const otp = require('./otp');
 const app = express();
 const pool = new Pool({ connectionString: DB_URL });
 
@@ -26,26 +47,10 @@ const pool = new Pool({ connectionString: DB_URL });
 const { initializeDatabase } = require('./database');
 initializeDatabase().catch(err => console.error('Failed to init DB:', err));
 
-// استيراد cache و email بشكل آمن
-let cache, sendEmail;
-try {
-    cache = require('./cache');
-    const emailModule = require('./email');
-    sendEmail = emailModule.sendOTP || emailModule.sendEmail;
-} catch (e) {
-    console.warn('⚠️ Cache or Email module not found, using fallback');
-    // Fallback cache
-    cache = {
-        get: async () => null,
-        setEx: async () => 'OK',
-        del: async () => 1
-    };
-    // Fallback email
-    sendEmail = async (email, otp) => {
-        console.log(`📧 DEV MODE - OTP for ${email}: ${otp}`);
-        return { success: true, method: 'console', otp };
-    };
-}
+// Redis مع fallback للذاكرة داخل cache.js نفسه
+const cache = require('./cache');
+// البريد يُرسل عبر الطابور (emailQueue.js) وليس داخل الطلب
+const emailQueue = require('./emailQueue');
 
 // 3. إعداد CORS
 const allowedOrigins = [
@@ -64,10 +69,13 @@ app.use(cors({
         }
         callback(new Error('Not allowed by CORS'));
     },
-    optionsSuccessStatus: 200
+    optionsSuccessStatus: 200,
+    exposedHeaders: ['X-Total-Count']
 }));
 
 app.use(express.json());
+// للحصول على IP الحقيقي للطالب خلف البروكسي (Railway)
+app.set('trust proxy', 1);
 
 // =================================================================
 // 4. دوال مساعدة
@@ -84,18 +92,197 @@ async function query(text, params) {
 
 async function getStudentById(studentId) {
     const res = await query(
-        'SELECT id, name, email, progress, isblocked FROM students WHERE id = $1',
+        'SELECT id, name, email, progress, isblocked, avatar_url FROM students WHERE id = $1',
         [studentId]
     );
     if (res.rows.length === 0) return null;
     return res.rows[0];
 }
 
+// حفظ نتيجة اختبار وتحديث أفضل درجة للطالب في نفس الـ transaction
+// يرجع null إذا لم تعد المحاولة قابلة للتسليم (تسليم مكرر أو متأخر)
+// answers (اختياري): إجابات كل سؤال من التصحيح على السيرفر لتقارير تحليل الأسئلة
+async function saveQuizResult(studentId, { quizName, subjectId, score, totalQuestions, correctAnswers, attemptId, quizId, answers }) {
+    const client = await pool.connect();
+    let result;
+    try {
+        await client.query('BEGIN');
+        const inserted = await client.query(
+            `INSERT INTO quiz_results (student_id, quiz_name, score, total_questions, correct_answers, subject_id)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING id, created_at`,
+            [studentId, quizName, score, totalQuestions, correctAnswers, subjectId]
+        );
+        result = inserted.rows[0];
+
+        if (attemptId && !(await attempts.completeAttempt(client, attemptId, result.id))) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        for (const answer of answers || []) {
+            await client.query(
+                `INSERT INTO quiz_answers (result_id, attempt_id, student_id, quiz_id, question_id, choice_ids, is_correct, time_spent_ms)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                [result.id, attemptId || null, studentId, quizId || null, answer.questionId, answer.choiceIds, answer.correct, answer.timeSpentMs]
+            );
+        }
+
+        const studentRes = await client.query('SELECT progress FROM students WHERE id = $1 FOR UPDATE', [studentId]);
+        const progress = studentRes.rows[0].progress || {};
+
+        const currentMax = progress[subjectId] || 0;
+        if (score > currentMax) {
+            progress[subjectId] = score;
+            await client.query('UPDATE students SET progress = $1 WHERE id = $2', [progress, studentId]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    await analytics.invalidateStudentAnalytics(studentId);
+    await cache.del(`student_results:${studentId}`);
+    await leaderboard.invalidateLeaderboards();
+
+    return result;
+}
+
+// النتيجة من العميل مقبولة فقط لمادة بدون بنك أسئلة منشور (يرسل الرد بنفسه ويرجع false عند الرفض)
+async function checkClientScoredSubject(res, subjectId) {
+    if (!(await quizzes.hasPublishedQuizzes(subjectId))) return true;
+    res.status(409).json({ error: 'This subject is graded on the server, submit through /api/quizzes/:id/submit' });
+    return false;
+}
+
+// التحقق من المحاولة قبل التسليم (يرسل الرد بنفسه ويرجع null عند الرفض)
+async function getSubmittableAttempt(req, res, attemptId, target) {
+    const attempt = await attempts.getAttempt(attemptId);
+    const submitError = attempts.getSubmitError(attempt, req.student.id, target);
+    if (submitError) {
+        res.status(submitError.status).json({ error: submitError.error });
+        return null;
+    }
+    return attempt;
+}
+
+// رفع ملف واحد (حقل file) مع تحويل أخطاء Multer إلى ردود واضحة
+function uploadFile(uploader) {
+    return (req, res, next) => {
+        uploader.single('file')(req, res, (err) => {
+            if (!err) return next();
+            if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'File too large' });
+            return res.status(400).json({ error: err.message });
+        });
+    };
+}
+
+// التحقق من الملف حسب نوع المادة ثم حفظه
+async function storeMaterial(req, res, { subjectId, lessonId }) {
+    const fileError = validateMaterialFile(req.body.kind, req.file);
+    if (fileError) return res.status(400).json({ error: fileError });
+
+    const material = await materials.createMaterial(req.file, {
+        subjectId,
+        lessonId,
+        kind: req.body.kind,
+        title: req.body.title,
+        uploadedBy: req.admin.username
+    });
+    res.status(201).json(material);
+}
+
+// توليد OTP لغرض محدد وإرساله عبر طابور البريد (الرمز لا يُرجع في الرد أبداً)
+// يرجع { status, body } ليرسلها الـ endpoint كما هي
+async function issueOtp(email, purpose) {
+    const issued = await otp.issue(email, purpose);
+    if (issued.error) {
+        return { status: issued.status, body: { error: issued.error, retryAfter: issued.retryAfter } };
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+        console.log(`🔐 DEV MODE OTP (${purpose}) for ${email}: ${issued.code}`);
+    }
+
+    await emailQueue.enqueue(email, 'otp', { code: issued.code, minutes: Math.round(issued.expiresIn / 60) });
+
+    return { status: 200, body: { message: 'OTP sent successfully', expiresIn: issued.expiresIn } };
+}
+
+// التحقق من OTP (يرسل الرد بنفسه ويرجع false عند الرفض)
+async function checkOtp(res, email, purpose, code) {
+    const result = await otp.verify(email, purpose, code);
+    if (result.valid) return true;
+    res.status(result.status).json({ error: result.error, attemptsLeft: result.attemptsLeft });
+    return false;
+}
+
+// قائمة إدارة بالصيغة الموحدة (listing.js) مع X-Total-Count للعملاء القدامى
+async function sendAdminList(req, res, resourceName) {
+    const { error, value } = listing.parseListQuery(resourceName, req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const groupScope = await groups.getAdminScope(req.admin);
+    const result = await listing.listResource(resourceName, value, { groupScope });
+    res.set('X-Total-Count', String(result.pagination.total));
+    res.status(200).json(result);
+}
+
+// المشرف المرتبط بمجموعات لا يصل إلا لمجموعاته (يرسل الرد بنفسه ويرجع false عند الرفض)
+async function checkGroupScope(req, res, groupIds) {
+    const scope = await groups.getAdminScope(req.admin);
+    if (groupIds.every(groupId => groups.isInScope(scope, groupId))) return true;
+    res.status(403).json({ error: 'Group is outside your scope' });
+    return false;
+}
+
+// الطالب يجب أن يكون عضواً في إحدى مجموعات المشرف (يرسل الرد بنفسه ويرجع false عند الرفض)
+async function checkStudentScope(req, res, studentId) {
+    const scope = await groups.getAdminScope(req.admin);
+    if (await groups.isStudentInScope(scope, studentId)) return true;
+    res.status(403).json({ error: 'Student is outside your scope' });
+    return false;
+}
+
+// الرسالة تتبع نطاق الطالب صاحبها (يرسل الرد بنفسه ويرجع false عند الرفض)
+async function checkMessageScope(req, res, messageId) {
+    const messageRes = await query('SELECT student_id FROM messages WHERE id = $1', [messageId]);
+    if (messageRes.rows.length === 0) {
+        res.status(404).json({ error: 'Message not found' });
+        return false;
+    }
+    return checkStudentScope(req, res, messageRes.rows[0].student_id);
+}
+
+// تعديل قيد مادة / اختبار: المجموعات الحالية والجديدة كلها يجب أن تكون ضمن نطاق المشرف
+// وإتاحة العنصر للجميع أو قصر عنصر متاح للجميع يغيّر وصول كل الطلاب، فهو للمشرف بلا نطاق فقط
+async function checkRestrictionScope(req, res, currentGroupIds, newGroupIds) {
+    const scope = await groups.getAdminScope(req.admin);
+    if (scope === null) return true;
+    if (currentGroupIds.length === 0 || newGroupIds.length === 0) {
+        res.status(403).json({ error: 'Only an unscoped admin can change access for all students' });
+        return false;
+    }
+    return checkGroupScope(req, res, [...currentGroupIds, ...newGroupIds]);
+}
+
+// بيانات الجهاز التي تُحفظ مع كل جلسة
+function sessionContext(req, fingerprint) {
+    return {
+        fingerprint,
+        deviceInfo: req.headers['user-agent'],
+        ipAddress: req.ip
+    };
+}
+
 // =================================================================
 // 5. نقاط نهاية Authentication
 // =================================================================
 
-// 5.1 إرسال OTP
+// 5.1 إرسال OTP للتسجيل (البريد المسجل مسبقاً يستخدم 5.10)
 app.post('/api/auth/send-otp', async (req, res) => {
     const { email } = req.body;
     
@@ -106,48 +293,12 @@ app.post('/api/auth/send-otp', async (req, res) => {
     if (error) return res.status(400).json({ error: error.details[0].message });
 
     try {
-        const rateLimitKey = `otp_limit:${email}`;
-        const currentLimit = await cache.get(rateLimitKey);
-        
-        if (currentLimit && parseInt(currentLimit) >= 5) {
-            return res.status(429).json({ error: 'Too many OTP requests today' });
-        }
-        
-        const otp = Math.floor(100000 + Math.random() * 900000).toString();
-        const otpKey = `otp:${email}`;
-
-        await cache.setEx(otpKey, 600, otp);
-
-        let newLimit = 1;
-        if (currentLimit) {
-            newLimit = parseInt(currentLimit) + 1;
-        }
-        await cache.setEx(rateLimitKey, 86400, newLimit.toString());
-
-        if (process.env.NODE_ENV === 'development') {
-            console.log(`🔐 DEV MODE OTP for ${email}: ${otp}`);
-            return res.status(200).json({ 
-                message: 'OTP sent successfully (Dev Mode)',
-                method: 'console',
-                otp: otp
-            });
-        }
-
-        const emailResult = await sendEmail(email, otp);
-
-        if (!emailResult.success) {
-            if (process.env.NODE_ENV !== 'production') {
-                return res.status(200).json({ 
-                    message: 'OTP sent successfully (Fallback)',
-                    method: 'console',
-                    otp: otp
-                });
-            }
-            return res.status(500).json({ error: 'Failed to send OTP' });
+        if (await profiles.isEmailTaken(email)) {
+            return res.status(409).json({ error: 'Email already registered, please log in' });
         }
 
-        res.status(200).json({ message: 'OTP sent successfully' });
-
+        const result = await issueOtp(email, 'register');
+        res.status(result.status).json(result.body);
     } catch (err) {
         console.error('Error sending OTP:', err);
         res.status(500).json({ error: 'Internal server error' });
@@ -168,42 +319,55 @@ app.post('/api/students/register', async (req, res) => {
     if (error) return res.status(400).json({ error: error.details[0].message });
 
     try {
-        const otpKey = `otp:${email}`;
-        const storedOtp = await cache.get(otpKey);
-        
-        if (!storedOtp || storedOtp !== otp) {
-            return res.status(400).json({ error: 'Invalid OTP' });
+        if (await fingerprints.getBlockedFingerprint(fingerprint)) {
+            return res.status(403).json({ error: 'This device is blocked' });
         }
 
-        const existing = await query('SELECT id, isblocked FROM students WHERE email = $1', [email]);
-        
-        if (existing.rows.length > 0) {
-            if (existing.rows[0].isblocked) {
-                return res.status(403).json({ error: 'Account is blocked' });
-            }
-            await cache.del(otpKey);
-            const student = await getStudentById(existing.rows[0].id);
-            return res.status(200).json(student);
+        // التسجيل لا يتحول إلى تسجيل دخول: البريد المسجل يستخدم 5.10
+        if (await profiles.isEmailTaken(email)) {
+            return res.status(409).json({ error: 'Email already registered, please log in' });
         }
 
+        if (!(await checkOtp(res, email, 'register', otp))) return;
+
         const newStudent = await query(
             'INSERT INTO students (name, email, fingerprint) VALUES ($1, $2, $3) RETURNING id, name, email, progress',
             [name.trim(), email, fingerprint]
         );
 
-        await cache.del(otpKey);
+        await fingerprints.recordDevice(newStudent.rows[0].id, fingerprint);
 
         console.log(`🎉 New student: ${newStudent.rows[0].id} - ${name}`);
 
-        res.status(201).json(newStudent.rows[0]);
+        // رسالة الترحيب لا تؤخر الرد ولا تُفشل التسجيل
+        emailQueue.enqueue(email, 'welcome', { studentName: newStudent.rows[0].name })
+            .catch(err => console.error('Error queueing welcome email:', err));
+
+        const token = await createSession(newStudent.rows[0].id, sessionContext(req, fingerprint));
+
+        res.status(201).json({ ...newStudent.rows[0], token });
     } catch (err) {
         console.error('Error registering:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// 5.3 الحصول على بيانات الطالب
-app.get('/api/students/:id', async (req, res) => {
+// 5.3 فحص بصمة الجهاز قبل التسجيل/الدخول
+app.post('/api/check-fingerprint', validateRequest(schemas.fingerprintCheck), async (req, res) => {
+    try {
+        const blocked = await fingerprints.getBlockedFingerprint(req.body.fingerprint);
+        if (blocked) {
+            return res.status(200).json({ blocked: true, reason: blocked.reason || '' });
+        }
+        res.status(200).json({ blocked: false });
+    } catch (err) {
+        console.error('Error checking fingerprint:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 5.4 الحصول على بيانات الطالب
+app.get('/api/students/:id', authenticateStudent, requireSelf, async (req, res) => {
     const studentId = parseInt(req.params.id);
     if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
 
@@ -222,6 +386,206 @@ app.get('/api/students/:id', async (req, res) => {
     }
 });
 
+// 5.5 تعديل الملف الشخصي (الاسم)
+app.put('/api/students/:id/profile', authenticateStudent, requireSelf, validateRequest(schemas.profileUpdate), async (req, res) => {
+    try {
+        const student = await profiles.updateProfile(req.student.id, { name: req.body.name }, { type: 'student', name: null });
+        res.status(200).json(student);
+    } catch (err) {
+        console.error('Error updating profile:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 5.6 الصورة الشخصية
+app.put('/api/students/:id/avatar', authenticateStudent, requireSelf, uploadFile(upload), async (req, res) => {
+    const fileError = validateMaterialFile('image', req.file);
+    if (fileError) return res.status(400).json({ error: fileError });
+
+    try {
+        const student = await profiles.setAvatar(req.student.id, req.file, { type: 'student', name: null });
+        res.status(200).json(student);
+    } catch (err) {
+        console.error('Error uploading avatar:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/students/:id/avatar', authenticateStudent, requireSelf, async (req, res) => {
+    try {
+        const student = await profiles.removeAvatar(req.student.id, { type: 'student', name: null });
+        res.status(200).json(student);
+    } catch (err) {
+        console.error('Error removing avatar:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// الصور المحفوظة محلياً (صور Cloudinary لها رابط مباشر في avatar_url)
+app.get('/api/students/:id/avatar', async (req, res) => {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const filePath = await profiles.getLocalAvatarPath(studentId);
+        if (!filePath) return res.status(404).json({ error: 'Avatar not found' });
+        res.sendFile(filePath, (err) => {
+            if (err && !res.headersSent) res.status(404).json({ error: 'Avatar not found' });
+        });
+    } catch (err) {
+        console.error('Error fetching avatar:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 5.7 تغيير البريد: OTP يُرسل للبريد الجديد ثم التأكيد به
+app.post('/api/students/:id/email-change/request', authenticateStudent, requireSelf, validateRequest(schemas.emailChangeRequest), async (req, res) => {
+    const { newEmail } = req.body;
+
+    try {
+        if (newEmail === req.student.email) {
+            return res.status(400).json({ error: 'New email is the same as the current email' });
+        }
+        if (await profiles.isEmailTaken(newEmail, req.student.id)) {
+            return res.status(409).json({ error: 'Email already in use' });
+        }
+
+        const result = await issueOtp(newEmail, 'email-change');
+        res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error('Error requesting email change:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/students/:id/email-change/confirm', authenticateStudent, requireSelf, validateRequest(schemas.emailChangeConfirm), async (req, res) => {
+    const { newEmail, otp } = req.body;
+
+    try {
+        if (!(await checkOtp(res, newEmail, 'email-change', otp))) return;
+        if (await profiles.isEmailTaken(newEmail, req.student.id)) {
+            return res.status(409).json({ error: 'Email already in use' });
+        }
+
+        const student = await profiles.updateProfile(req.student.id, { email: newEmail }, { type: 'student', name: null });
+
+        res.status(200).json(student);
+    } catch (err) {
+        if (err.code === '23505') return res.status(409).json({ error: 'Email already in use' });
+        console.error('Error confirming email change:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 5.8 تصدير البيانات الشخصية (JSON أو ZIP)
+app.get('/api/students/:id/export', authenticateStudent, requireSelf, async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) return res.status(400).json({ error: 'Invalid format' });
+
+    try {
+        const data = await privacy.collectStudentData(req.student.id);
+        if (!data) return res.status(404).json({ error: 'Student not found' });
+
+        const filename = `tawal-data-${req.student.id}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'json') {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            return res.status(200).send(JSON.stringify(data, null, 2));
+        }
+
+        res.setHeader('Content-Type', 'application/zip');
+        await privacy.streamExportZip(data, res);
+    } catch (err) {
+        console.error('Error exporting student data:', err);
+        if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+        else res.end();
+    }
+});
+
+// 5.9 حذف الحساب: طلب OTP على البريد الحالي ثم التأكيد به
+app.post('/api/students/:id/deletion/request', authenticateStudent, requireSelf, async (req, res) => {
+    try {
+        const result = await issueOtp(req.student.email, 'delete-account');
+        res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error('Error requesting account deletion:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/students/:id', authenticateStudent, requireSelf, validateRequest(schemas.accountDelete), async (req, res) => {
+    try {
+        if (!(await checkOtp(res, req.student.email, 'delete-account', req.body.otp))) return;
+
+        const result = await privacy.deleteStudentAccount(req.student.id, {
+            reason: req.body.reason || null,
+            initiatedBy: 'student'
+        });
+        if (!result) return res.status(404).json({ error: 'Student not found' });
+
+        console.log(`🗑️ Student ${req.student.id} deleted their account`);
+
+        res.status(200).json({ message: 'Account deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting account:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 5.10 تسجيل الدخول بالبريد: طلب OTP لحساب موجود ثم التحقق منه لإصدار جلسة
+// البحث عن البريد بدون حساسية لحالة الأحرف، كما في مفاتيح otp.js
+app.post('/api/auth/login/request-otp', validateRequest(schemas.otpRequest), async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        const studentRes = await query('SELECT id, isblocked FROM students WHERE LOWER(email) = LOWER($1)', [email]);
+        const student = studentRes.rows[0];
+        if (!student) return res.status(404).json({ error: 'No account found for this email' });
+        if (student.isblocked) return res.status(403).json({ error: 'Account is blocked' });
+
+        const result = await issueOtp(email, 'login');
+        res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error('Error requesting login OTP:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/auth/login', validateRequest(schemas.studentLogin), async (req, res) => {
+    const { email, fingerprint, otp } = req.body;
+
+    try {
+        if (await fingerprints.getBlockedFingerprint(fingerprint)) {
+            return res.status(403).json({ error: 'This device is blocked' });
+        }
+
+        if (!(await checkOtp(res, email, 'login', otp))) return;
+
+        const studentRes = await query('SELECT id, isblocked FROM students WHERE LOWER(email) = LOWER($1)', [email]);
+        const existing = studentRes.rows[0];
+        if (!existing) return res.status(404).json({ error: 'No account found for this email' });
+        if (existing.isblocked) return res.status(403).json({ error: 'Account is blocked' });
+
+        const device = await fingerprints.recordDevice(existing.id, fingerprint);
+        if (!device.allowed) {
+            return res.status(403).json({ error: 'Device limit reached' });
+        }
+
+        await query('UPDATE students SET fingerprint = $1 WHERE id = $2', [fingerprint, existing.id]);
+
+        const student = await getStudentById(existing.id);
+        const token = await createSession(student.id, sessionContext(req, fingerprint));
+
+        console.log(`🔑 Student ${student.id} logged in with email OTP`);
+
+        res.status(200).json({ ...student, token });
+    } catch (err) {
+        console.error('Error logging in:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // =================================================================
 // 6. نقاط نهاية الإحصائيات (Stats)
 // =================================================================
@@ -241,55 +605,37 @@ app.get('/api/public-stats', async (req, res) => {
     }
 });
 
-app.get('/api/students/:id/stats', async (req, res) => {
+// ملخص الطالب + تفصيل المواد والتطور الزمني (bucket=day|week) وأيام الدراسة ونقاط الضعف
+app.get('/api/students/:id/stats', authenticateStudent, requireSelf, async (req, res) => {
     const studentId = parseInt(req.params.id);
     if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
 
-    try {
-        const cacheKey = `student_stats:${studentId}`;
-        const cachedStats = await cache.get(cacheKey);
-        if (cachedStats) {
-            return res.status(200).json(JSON.parse(cachedStats));
-        }
-
-        const avgRes = await query(
-            'SELECT avg(score) as averageScore, max(score) as bestScore, count(*) as totalQuizzes FROM quiz_results WHERE student_id = $1',
-            [studentId]
-        );
-        
-        const stats = {
-            averageScore: Math.round(parseFloat(avgRes.rows[0].averagescore) || 0),
-            bestScore: parseInt(avgRes.rows[0].bestscore) || 0,
-            totalQuizzes: parseInt(avgRes.rows[0].totalquizzes) || 0
-        };
-        
-        await cache.setEx(cacheKey, 3600, JSON.stringify(stats));
+    const schema = Joi.object({
+        bucket: Joi.string().valid(...Object.keys(analytics.BUCKETS)).default('week')
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
 
-        res.status(200).json(stats);
+    try {
+        res.status(200).json(await analytics.getStudentAnalytics(studentId, value));
     } catch (err) {
         console.error('Error fetching student stats:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.get('/api/students/:id/results', async (req, res) => {
+app.get('/api/students/:id/results', authenticateStudent, requireSelf, async (req, res) => {
     const studentId = parseInt(req.params.id);
     if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
 
     try {
-        const cacheKey = `student_results:${studentId}`;
-        const cachedResults = await cache.get(cacheKey);
-        if (cachedResults) {
-            return res.status(200).json(JSON.parse(cachedResults));
-        }
-
-        const resultsRes = await query(
-            'SELECT * FROM quiz_results WHERE student_id = $1 ORDER BY created_at DESC',
-            [studentId]
-        );
-        const results = resultsRes.rows;
-
-        await cache.setEx(cacheKey, 3600, JSON.stringify(results));
+        const results = await cache.wrap(`student_results:${studentId}`, 3600, async () => {
+            const resultsRes = await query(
+                'SELECT * FROM quiz_results WHERE student_id = $1 ORDER BY created_at DESC',
+                [studentId]
+            );
+            return resultsRes.rows;
+        });
 
         res.status(200).json(results);
     } catch (err) {
@@ -298,11 +644,12 @@ app.get('/api/students/:id/results', async (req, res) => {
     }
 });
 
-app.post('/api/quiz-results', async (req, res) => {
-    const { studentId, quizName, score, totalQuestions, correctAnswers, subjectId } = req.body;
+app.post('/api/quiz-results', authenticateStudent, requireSelf, async (req, res) => {
+    const { studentId, attemptId, quizName, score, totalQuestions, correctAnswers, subjectId } = req.body;
     
     const schema = Joi.object({
         studentId: Joi.number().required(),
+        attemptId: Joi.number().integer().required(),
         quizName: Joi.string().required(),
         score: Joi.number().min(0).max(100).required(),
         totalQuestions: Joi.number().min(1).required(),
@@ -313,22 +660,23 @@ app.post('/api/quiz-results', async (req, res) => {
     if (error) return res.status(400).json({ error: error.details[0].message });
     
     try {
-        await query(
-            'INSERT INTO quiz_results (student_id, quiz_name, score, total_questions, correct_answers, subject_id) VALUES ($1, $2, $3, $4, $5, $6)',
-            [studentId, quizName, score, totalQuestions, correctAnswers, subjectId]
-        );
+        if (!(await catalog.getSubject(subjectId))) {
+            return res.status(400).json({ error: 'Unknown subject' });
+        }
+        if (!(await groups.canAccessSubject(studentId, subjectId))) {
+            return res.status(403).json({ error: 'Not available for your group' });
+        }
+        if (!(await checkClientScoredSubject(res, subjectId))) return;
 
-        const studentRes = await query('SELECT progress FROM students WHERE id = $1 FOR UPDATE', [studentId]);
-        const progress = studentRes.rows[0].progress || {};
-        
-        const currentMax = progress[subjectId] || 0;
-        if (score > currentMax) {
-            progress[subjectId] = score;
-            await query('UPDATE students SET progress = $1 WHERE id = $2', [progress, studentId]);
+        const lock = await quizStatus.isSubjectLocked(subjectId);
+        if (lock && lock.locked) {
+            return res.status(403).json({ error: 'Quiz is locked', message: lock.message });
         }
-        
-        await cache.del(`student_stats:${studentId}`);
-        await cache.del(`student_results:${studentId}`);
+
+        if (!(await getSubmittableAttempt(req, res, attemptId, { subjectId }))) return;
+
+        const saved = await saveQuizResult(studentId, { quizName, subjectId, score, totalQuestions, correctAnswers, attemptId });
+        if (!saved) return res.status(409).json({ error: 'Attempt is no longer open' });
 
         res.status(201).json({ message: 'Result saved successfully' });
     } catch (err) {
@@ -339,24 +687,7 @@ app.post('/api/quiz-results', async (req, res) => {
 
 app.get('/api/quiz-status', async (req, res) => {
     try {
-        const cacheKey = `quiz_status_locks`;
-        const cachedStatus = await cache.get(cacheKey);
-        if (cachedStatus) {
-            return res.status(200).json(JSON.parse(cachedStatus));
-        }
-
-        const locks = {
-            gis_networks: { locked: false, message: '' },
-            transport: { locked: false, message: '' },
-            geo_maps: { locked: false, message: '' },
-            projections: { locked: false, message: '' },
-            research: { locked: false, message: '' },
-            surveying_texts: { locked: false, message: '' },
-            arid_lands: { locked: false, message: '' }
-        };
-
-        await cache.setEx(cacheKey, 300, JSON.stringify(locks));
-
+        const locks = await quizStatus.getQuizLocks();
         res.status(200).json(locks);
     } catch (err) {
         console.error('Error fetching quiz status:', err);
@@ -364,52 +695,384 @@ app.get('/api/quiz-status', async (req, res) => {
     }
 });
 
-app.post('/api/login', async (req, res) => {
-    const { studentId, fingerprint } = req.body;
-    
-    const schema = Joi.object({
-        studentId: Joi.number().required(),
-        fingerprint: Joi.string().required()
-    });
-    const { error } = schema.validate(req.body);
-    if (error) return res.status(400).json({ error: 'Invalid data' });
+// كتالوج المواد (عام، المواد المقيدة بمجموعات تظهر لأعضائها فقط)
+app.get('/api/subjects', optionalStudent, async (req, res) => {
+    try {
+        const subjects = await catalog.listSubjects({ publishedOnly: true });
+        res.status(200).json(await groups.filterSubjectsForStudent(subjects, req.student ? req.student.id : null));
+    } catch (err) {
+        console.error('Error fetching subjects:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
+app.get('/api/subjects/:subjectId', optionalStudent, async (req, res) => {
     try {
-        await query('UPDATE students SET fingerprint = $1 WHERE id = $2', [fingerprint, studentId]);
-        
-        const rateLimitKey = `login_limit:${fingerprint}`;
-        const loginCount = await cache.get(rateLimitKey);
-        let newLoginCount = 1;
-
-        if (loginCount) {
-            newLoginCount = parseInt(loginCount) + 1;
-            if (newLoginCount > 100) {
-                return res.status(403).json({ error: 'Rate limit exceeded' });
-            }
+        const subject = await catalog.getSubjectTree(req.params.subjectId);
+        if (!subject || !subject.is_published) return res.status(404).json({ error: 'Subject not found' });
+        if (!(await groups.canAccessSubject(req.student ? req.student.id : null, subject.id))) {
+            return res.status(404).json({ error: 'Subject not found' });
         }
-
-        await cache.setEx(rateLimitKey, 604800, newLoginCount.toString());
-
-        res.status(200).json({ message: 'Login logged' });
+        res.status(200).json(subject);
     } catch (err) {
-        console.error('Error logging login:', err);
+        console.error('Error fetching subject:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/logout', async (req, res) => {
+// المواد التعليمية لمادة منشورة (lessonId اختياري)
+app.get('/api/subjects/:subjectId/materials', authenticateStudent, async (req, res) => {
+    const lessonId = req.query.lessonId ? parseInt(req.query.lessonId) : null;
+    if (req.query.lessonId && isNaN(lessonId)) return res.status(400).json({ error: 'Invalid ID' });
+
     try {
-        res.status(200).json({ message: 'Logout successful' });
-    } catch (e) {
+        const subject = await catalog.getSubject(req.params.subjectId);
+        if (!subject || !subject.is_published) return res.status(404).json({ error: 'Subject not found' });
+        if (!(await groups.canAccessSubject(req.student.id, subject.id))) {
+            return res.status(403).json({ error: 'Not available for your group' });
+        }
+
+        const list = await materials.listMaterials({ subjectId: subject.id, lessonId });
+        res.status(200).json(list.map(materials.formatMaterial));
+    } catch (err) {
+        console.error('Error fetching materials:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// =================================================================
-// 7. رسائل الدعم (Messages)
-// =================================================================
+// تحميل ملف مادة: تحويل لرابط Cloudinary أو إرسال الملف المحلي
+app.get('/api/materials/:id/download', authenticateStudent, async (req, res) => {
+    const materialId = parseInt(req.params.id);
+    if (isNaN(materialId)) return res.status(400).json({ error: 'Invalid ID' });
 
-app.post('/api/messages', async (req, res) => {
+    try {
+        const material = await materials.getMaterial(materialId);
+        const subject = material && await catalog.getSubject(material.subject_id);
+        if (!subject || !subject.is_published) return res.status(404).json({ error: 'Material not found' });
+        if (!(await groups.canAccessSubject(req.student.id, subject.id))) {
+            return res.status(403).json({ error: 'Not available for your group' });
+        }
+
+        if (material.url) return res.redirect(material.url);
+
+        const filePath = getStorage(material.storage_provider).getLocalPath(material.storage_key);
+        res.download(filePath, material.original_name, (err) => {
+            if (err && !res.headersSent) {
+                console.error('Error sending material file:', err);
+                res.status(404).json({ error: 'Material file not found' });
+            }
+        });
+    } catch (err) {
+        console.error('Error downloading material:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// بنك الأسئلة: قائمة الاختبارات المنشورة لمادة
+app.get('/api/subjects/:subjectId/quizzes', authenticateStudent, async (req, res) => {
+    try {
+        if (!(await groups.canAccessSubject(req.student.id, req.params.subjectId))) {
+            return res.status(403).json({ error: 'Not available for your group' });
+        }
+
+        const list = await quizzes.listQuizzes({ subjectId: req.params.subjectId, publishedOnly: true });
+        const available = await groups.filterQuizzesForStudent(list, req.student.id);
+        res.status(200).json(available.map(q => ({
+            id: q.id,
+            subjectId: q.subject_id,
+            title: q.title,
+            description: q.description,
+            questionCount: q.question_count
+        })));
+    } catch (err) {
+        console.error('Error fetching quizzes:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// معلومات الاختبار قبل البدء (الأسئلة تُرسل فقط عند بدء محاولة)
+app.get('/api/quizzes/:id', authenticateStudent, async (req, res) => {
+    const quizId = parseInt(req.params.id);
+    if (isNaN(quizId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const quiz = await quizzes.getQuiz(quizId);
+        if (!quiz || !quiz.is_published) return res.status(404).json({ error: 'Quiz not found' });
+        if (!(await groups.canAccessQuiz(req.student.id, quiz))) {
+            return res.status(403).json({ error: 'Not available for your group' });
+        }
+
+        const settings = await quizStatus.getSubjectSettings(quiz.subject_id);
+        const lock = await quizStatus.isSubjectLocked(quiz.subject_id);
+
+        res.status(200).json({
+            id: quiz.id,
+            subjectId: quiz.subject_id,
+            title: quiz.title,
+            description: quiz.description,
+            questionCount: quiz.questions.length,
+            timeLimitSeconds: quiz.time_limit_seconds || settings.timeLimitSeconds,
+            maxAttempts: settings.maxAttempts,
+            attemptsUsed: await attempts.countAttempts(req.student.id, quiz.subject_id),
+            locked: Boolean(lock && lock.locked)
+        });
+    } catch (err) {
+        console.error('Error fetching quiz:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// بدء محاولة (أو استئناف المحاولة الجارية) مع إرسال الأسئلة
+app.post('/api/quizzes/:id/start', authenticateStudent, async (req, res) => {
+    const quizId = parseInt(req.params.id);
+    if (isNaN(quizId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const quiz = await quizzes.getQuizForStudent(quizId);
+        if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+        if (!(await groups.canAccessQuiz(req.student.id, { id: quizId, subject_id: quiz.subjectId }))) {
+            return res.status(403).json({ error: 'Not available for your group' });
+        }
+        if (quiz.questions.length === 0) return res.status(400).json({ error: 'Quiz has no questions' });
+
+        const lock = await quizStatus.isSubjectLocked(quiz.subjectId);
+        if (lock && lock.locked) {
+            return res.status(403).json({ error: 'Quiz is locked', message: lock.message });
+        }
+
+        const settings = await quizStatus.getSubjectSettings(quiz.subjectId);
+        const started = await attempts.startAttempt(req.student.id, {
+            subjectId: quiz.subjectId,
+            quizId,
+            timeLimitSeconds: quiz.timeLimitSeconds || settings.timeLimitSeconds,
+            maxAttempts: settings.maxAttempts,
+            questionOrder: quizzes.getQuestionOrder(quiz)
+        });
+        if (started.error) {
+            return res.status(403).json({ error: 'Maximum attempts reached', used: started.used, max: started.max });
+        }
+
+        // عند الاستئناف نعيد نفس ترتيب الأسئلة والاختيارات
+        const payload = started.resumed
+            ? await quizzes.getQuizForStudent(quizId, started.attempt.question_order)
+            : quiz;
+
+        res.status(started.resumed ? 200 : 201).json({
+            ...attempts.formatAttempt(started.attempt),
+            resumed: started.resumed,
+            quiz: payload
+        });
+    } catch (err) {
+        console.error('Error starting quiz attempt:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// بدء محاولة لاختبار يُصحح على جهاز الطالب (POST /api/quiz-results)
+app.post('/api/quiz-attempts', authenticateStudent, validateRequest(schemas.attemptStart), async (req, res) => {
+    const { subjectId } = req.body;
+
+    try {
+        if (!(await catalog.getSubject(subjectId))) {
+            return res.status(400).json({ error: 'Unknown subject' });
+        }
+        if (!(await groups.canAccessSubject(req.student.id, subjectId))) {
+            return res.status(403).json({ error: 'Not available for your group' });
+        }
+        if (!(await checkClientScoredSubject(res, subjectId))) return;
+
+        const lock = await quizStatus.isSubjectLocked(subjectId);
+        if (lock && lock.locked) {
+            return res.status(403).json({ error: 'Quiz is locked', message: lock.message });
+        }
+
+        const settings = await quizStatus.getSubjectSettings(subjectId);
+        const started = await attempts.startAttempt(req.student.id, {
+            subjectId,
+            timeLimitSeconds: settings.timeLimitSeconds,
+            maxAttempts: settings.maxAttempts
+        });
+        if (started.error) {
+            return res.status(403).json({ error: 'Maximum attempts reached', used: started.used, max: started.max });
+        }
+
+        res.status(started.resumed ? 200 : 201).json({
+            ...attempts.formatAttempt(started.attempt),
+            resumed: started.resumed
+        });
+    } catch (err) {
+        console.error('Error starting quiz attempt:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// تسليم الإجابات وتصحيحها على السيرفر
+app.post('/api/quizzes/:id/submit', authenticateStudent, validateRequest(schemas.quizSubmission), async (req, res) => {
+    const quizId = parseInt(req.params.id);
+    if (isNaN(quizId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const quiz = await quizzes.getQuiz(quizId, { includeAnswers: true });
+        if (!quiz || !quiz.is_published) return res.status(404).json({ error: 'Quiz not found' });
+        if (!(await groups.canAccessQuiz(req.student.id, quiz))) {
+            return res.status(403).json({ error: 'Not available for your group' });
+        }
+        if (quiz.questions.length === 0) return res.status(400).json({ error: 'Quiz has no questions' });
+
+        const lock = await quizStatus.isSubjectLocked(quiz.subject_id);
+        if (lock && lock.locked) {
+            return res.status(403).json({ error: 'Quiz is locked', message: lock.message });
+        }
+
+        const { attemptId, answers } = req.body;
+        const attempt = await getSubmittableAttempt(req, res, attemptId, { subjectId: quiz.subject_id, quizId });
+        if (!attempt) return;
+
+        // نصحح فقط الأسئلة التي ظهرت في هذه المحاولة
+        if (attempt.question_order) {
+            const shownIds = attempt.question_order.map(entry => entry.id);
+            quiz.questions = quiz.questions.filter(q => shownIds.includes(q.id));
+        }
+
+        const grade = quizzes.gradeAnswers(quiz, answers);
+        const saved = await saveQuizResult(req.student.id, {
+            quizName: quiz.title,
+            subjectId: quiz.subject_id,
+            score: grade.score,
+            totalQuestions: grade.totalQuestions,
+            correctAnswers: grade.correctAnswers,
+            attemptId,
+            quizId,
+            answers: grade.results
+        });
+        if (!saved) return res.status(409).json({ error: 'Attempt is no longer open' });
+
+        res.status(201).json({
+            resultId: saved.id,
+            score: grade.score,
+            totalQuestions: grade.totalQuestions,
+            correctAnswers: grade.correctAnswers,
+            results: grade.results.map(r => ({ questionId: r.questionId, correct: r.correct }))
+        });
+    } catch (err) {
+        console.error('Error submitting quiz:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// لوحات الترتيب (عامة، مع ترتيب الطالب الحالي إن كان مسجلاً)
+const leaderboardQuerySchema = Joi.object({
+    period: Joi.string().valid('all', 'week', 'month').default('all'),
+    limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+app.get('/api/leaderboard', optionalStudent, async (req, res) => {
+    const { error, value } = leaderboardQuerySchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    try {
+        const board = await leaderboard.getLeaderboard({
+            ...value,
+            studentId: req.student ? req.student.id : null
+        });
+        res.status(200).json(board);
+    } catch (err) {
+        console.error('Error fetching leaderboard:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/leaderboard/:subjectId', optionalStudent, async (req, res) => {
+    const { error, value } = leaderboardQuerySchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    try {
+        const board = await leaderboard.getLeaderboard({
+            ...value,
+            subjectId: req.params.subjectId,
+            studentId: req.student ? req.student.id : null
+        });
+        res.status(200).json(board);
+    } catch (err) {
+        console.error('Error fetching leaderboard:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/students/:id/leaderboard-visibility', authenticateStudent, requireSelf, validateRequest(schemas.leaderboardVisibility), async (req, res) => {
+    try {
+        await leaderboard.setHidden(req.student.id, req.body.hidden);
+        res.status(200).json({ hidden: req.body.hidden });
+    } catch (err) {
+        console.error('Error updating leaderboard visibility:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/login', async (req, res) => {
+    const { studentId, fingerprint } = req.body;
+    
+    const schema = Joi.object({
+        studentId: Joi.number().required(),
+        fingerprint: Joi.string().required()
+    });
+    const { error } = schema.validate(req.body);
+    if (error) return res.status(400).json({ error: 'Invalid data' });
+
+    try {
+        if (await fingerprints.getBlockedFingerprint(fingerprint)) {
+            return res.status(403).json({ error: 'This device is blocked' });
+        }
+
+        const studentRes = await query('SELECT id, isblocked FROM students WHERE id = $1', [studentId]);
+        const student = studentRes.rows[0];
+        if (!student) return res.status(404).json({ error: 'Student not found' });
+        if (student.isblocked) return res.status(403).json({ error: 'Account blocked' });
+
+        // إثبات الهوية: جلسة سارية لنفس الطالب فقط (الدخول بدون جلسة عبر OTP في 5.10)
+        const currentToken = getBearerToken(req);
+        const currentSession = currentToken ? await findSession(currentToken) : null;
+        if (!currentSession || currentSession.student_id !== student.id) {
+            return res.status(401).json({ error: 'Session required, please log in with your email' });
+        }
+
+        const device = await fingerprints.recordDevice(student.id, fingerprint);
+        if (!device.allowed) {
+            return res.status(403).json({ error: 'Device limit reached' });
+        }
+
+        const loginCount = await cache.incr(`login_limit:${fingerprint}`, 604800);
+        if (loginCount > 100) {
+            return res.status(403).json({ error: 'Rate limit exceeded' });
+        }
+
+        await query('UPDATE students SET fingerprint = $1 WHERE id = $2', [fingerprint, studentId]);
+
+        // تدوير التوكن: الجلسة القديمة تُلغى وتصدر جلسة جديدة
+        await revokeSession(currentSession.id, 'rotated');
+        const token = await createSession(student.id, sessionContext(req, fingerprint));
+
+        res.status(200).json({ message: 'Login logged', token });
+    } catch (err) {
+        console.error('Error logging login:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/logout', authenticateStudent, async (req, res) => {
+    try {
+        await revokeSession(req.session.id, 'logout');
+        res.status(200).json({ message: 'Logout successful' });
+    } catch (e) {
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// =================================================================
+// 7. رسائل الدعم (Messages)
+// =================================================================
+
+app.post('/api/messages', authenticateStudent, requireSelf, async (req, res) => {
     const { studentId, message } = req.body;
 
     const schema = Joi.object({
@@ -420,12 +1083,10 @@ app.post('/api/messages', async (req, res) => {
     if (error) return res.status(400).json({ error: error.details[0].message });
     
     try {
-        const rateLimitKey = `msg_limit:${studentId}`;
-        const messagesSent = await cache.get(rateLimitKey);
-        const sentCount = messagesSent ? parseInt(messagesSent) : 0;
-        const LIMIT = 5;
+        // العداد يُحجز قبل الإدخال حتى لا تتجاوز الطلبات المتزامنة الحد
+        const sentCount = await cache.incr(`msg_limit:${studentId}`, 86400);
 
-        if (sentCount >= LIMIT) {
+        if (sentCount > MESSAGE_DAILY_LIMIT) {
             return res.status(429).json({ error: 'Daily message limit exceeded' });
         }
 
@@ -433,12 +1094,10 @@ app.post('/api/messages', async (req, res) => {
             'INSERT INTO messages (student_id, content) VALUES ($1, $2) RETURNING created_at',
             [studentId, message]
         );
-        
-        await cache.setEx(rateLimitKey, 86400, (sentCount + 1).toString());
 
         res.status(201).json({ 
             message: 'Message sent successfully',
-            remaining: LIMIT - (sentCount + 1),
+            remaining: MESSAGE_DAILY_LIMIT - sentCount,
             createdAt: resDb.rows[0].created_at
         });
     } catch (err) {
@@ -447,25 +1106,25 @@ app.post('/api/messages', async (req, res) => {
     }
 });
 
-app.get('/api/students/:id/messages', async (req, res) => {
+app.get('/api/students/:id/messages', authenticateStudent, requireSelf, async (req, res) => {
     const studentId = parseInt(req.params.id);
     if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
     
     try {
         const messagesRes = await query(
-            'SELECT content, admin_reply as adminReply, created_at as createdAt FROM messages WHERE student_id = $1 ORDER BY created_at DESC',
+            `SELECT id, content, admin_reply as adminReply, replied_at as repliedAt, reply_read as replyRead, created_at as createdAt
+             FROM messages WHERE student_id = $1 ORDER BY created_at DESC`,
             [studentId]
         );
         const messages = messagesRes.rows;
+        const unreadReplies = messages.filter(m => m.adminreply && !m.replyread).length;
 
-        const rateLimitKey = `msg_limit:${studentId}`;
-        const messagesSent = await cache.get(rateLimitKey);
-        const sentCount = messagesSent ? parseInt(messagesSent) : 0;
-        const LIMIT = 5;
+        const sentCount = await cache.getCount(`msg_limit:${studentId}`);
 
         res.status(200).json({
             messages: messages,
-            remaining: LIMIT - sentCount
+            remaining: Math.max(0, MESSAGE_DAILY_LIMIT - sentCount),
+            unreadReplies
         });
     } catch (err) {
         console.error('Error fetching messages:', err);
@@ -473,18 +1132,51 @@ app.get('/api/students/:id/messages', async (req, res) => {
     }
 });
 
+app.get('/api/students/:id/messages/unread-count', authenticateStudent, requireSelf, async (req, res) => {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const countRes = await query(
+            'SELECT COUNT(*) as count FROM messages WHERE student_id = $1 AND admin_reply IS NOT NULL AND reply_read = FALSE',
+            [studentId]
+        );
+        res.status(200).json({ unreadReplies: parseInt(countRes.rows[0].count) || 0 });
+    } catch (err) {
+        console.error('Error counting unread replies:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/students/:id/messages/read-replies', authenticateStudent, requireSelf, async (req, res) => {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const updated = await query(
+            'UPDATE messages SET reply_read = TRUE WHERE student_id = $1 AND admin_reply IS NOT NULL AND reply_read = FALSE',
+            [studentId]
+        );
+        res.status(200).json({ message: 'Replies marked as read', updated: updated.rowCount });
+    } catch (err) {
+        console.error('Error marking replies as read:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // =================================================================
 // 8. تتبع النشاط (Activity Logging)
 // =================================================================
 
-app.post('/api/log-activity', async (req, res) => {
-    const { studentId, activityType, subjectName } = req.body;
+app.post('/api/log-activity', authenticateStudent, requireSelf, async (req, res) => {
+    const { studentId, activityType, subjectId, subjectName } = req.body;
     
     const schema = Joi.object({
         studentId: Joi.number().required(),
         activityType: Joi.string().required(),
-        subjectName: Joi.string().required()
-    });
+        subjectId: Joi.string().optional(),
+        subjectName: Joi.string().optional()
+    }).or('subjectId', 'subjectName');
     const { error } = schema.validate(req.body);
     if (error) {
         console.warn('Invalid activity log:', error.details[0].message);
@@ -492,10 +1184,21 @@ app.post('/api/log-activity', async (req, res) => {
     }
 
     try {
+        // subjectName من العملاء القدامى قد يكون المعرّف أو العنوان
+        const subject = subjectId
+            ? await catalog.getSubject(subjectId)
+            : await catalog.findSubjectByIdOrTitle(subjectName);
+        if (!subject) {
+            console.warn('Activity log for unknown subject:', subjectId || subjectName);
+            return res.status(200).json({ message: 'Log ignored' });
+        }
+
         await query(
-            'INSERT INTO activity_logs (student_id, activity_type, subject_name) VALUES ($1, $2, $3)',
-            [studentId, activityType, subjectName]
+            'INSERT INTO activity_logs (student_id, activity_type, subject_id, subject_name) VALUES ($1, $2, $3, $4)',
+            [studentId, activityType, subject.id, subjectName || subject.title_ar]
         );
+        // أيام الدراسة المتتالية في الإحصائيات تُحسب من سجل النشاط
+        await analytics.invalidateStudentAnalytics(studentId);
         res.status(201).json({ message: 'Activity logged' });
     } catch (err) {
         console.error('Error logging activity:', err);
@@ -507,12 +1210,66 @@ app.post('/api/log-activity', async (req, res) => {
 // 9. ✅ ADMIN ENDPOINTS (المفقودة في الكود القديم)
 // =================================================================
 
+// 9.0 تسجيل دخول الإدارة
+app.post('/api/admin/login', validateRequest(schemas.adminLogin), async (req, res) => {
+    const { username, password } = req.body;
+
+    try {
+        const adminRes = await query(
+            'SELECT id, username, password_hash, role FROM admins WHERE username = $1',
+            [username]
+        );
+        const admin = adminRes.rows[0];
+
+        if (!admin || !(await bcrypt.compare(password, admin.password_hash))) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        console.log(`🛡️ Admin login: ${admin.username} (${admin.role})`);
+
+        res.status(200).json({
+            ...signAdminTokens(admin),
+            admin: { id: admin.id, username: admin.username, role: admin.role }
+        });
+    } catch (err) {
+        console.error('Error logging in admin:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.0.1 تجديد توكن الإدارة
+app.post('/api/admin/refresh', validateRequest(schemas.adminRefresh), async (req, res) => {
+    const payload = verifyAdminToken(req.body.refreshToken, 'refresh');
+    if (!payload) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+
+    try {
+        const admin = await findAdminById(payload.sub);
+        if (!admin) return res.status(401).json({ error: 'Admin no longer exists' });
+
+        res.status(200).json(signAdminTokens(admin));
+    } catch (err) {
+        console.error('Error refreshing admin token:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ✅ كل ما يلي تحت /api/admin يتطلب توكن إدارة صالح
+// (login و refresh معرّفان قبل هذا السطر فلا يمرّان عبره)
+app.use('/api/admin', authenticateAdmin);
+
+app.get('/api/admin/me', (req, res) => {
+    res.status(200).json(req.admin);
+});
+
 // 9.1 إحصائيات الإدارة
-app.get('/api/admin/stats', async (req, res) => {
+app.get('/api/admin/stats', requireRole('viewer'), async (req, res) => {
     try {
-        const totalStudents = await query('SELECT COUNT(*) as count FROM students');
-        const totalQuizzes = await query('SELECT COUNT(*) as count FROM quiz_results');
-        const avgScore = await query('SELECT AVG(score) as avg FROM quiz_results');
+        // المشرف المحدود بمجموعات يرى إحصائيات طلاب مجموعاته فقط
+        const scope = await groups.getAdminScope(req.admin);
+        const inScope = (column) => `($1::int[] IS NULL OR ${column} IN (SELECT student_id FROM group_members WHERE group_id = ANY($1)))`;
+        const totalStudents = await query(`SELECT COUNT(*) as count FROM students WHERE ${inScope('id')}`, [scope]);
+        const totalQuizzes = await query(`SELECT COUNT(*) as count FROM quiz_results WHERE ${inScope('student_id')}`, [scope]);
+        const avgScore = await query(`SELECT AVG(score) as avg FROM quiz_results WHERE ${inScope('student_id')}`, [scope]);
 
         res.status(200).json({
             totalStudents: parseInt(totalStudents.rows[0].count) || 0,
@@ -526,77 +1283,1051 @@ app.get('/api/admin/stats', async (req, res) => {
 });
 
 // 9.2 جميع الطلاب
-app.get('/api/admin/students', async (req, res) => {
+app.get('/api/admin/students', requireRole('viewer'), async (req, res) => {
     try {
-        const students = await query(
-            'SELECT id, name, email, createdat, isblocked FROM students ORDER BY createdat DESC'
-        );
-        res.status(200).json(students.rows);
+        await sendAdminList(req, res, 'students');
     } catch (err) {
         console.error('Error fetching students:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// 9.3 الرسائل للإدارة
-app.get('/api/admin/messages', async (req, res) => {
-    try {
-        const messages = await query(`
-            SELECT 
-                m.id, 
-                m.content, 
-                m.admin_reply as adminreply,
-                m.created_at as createdat,
-                s.name as studentName
-            FROM messages m
-            JOIN students s ON m.student_id = s.id
-            ORDER BY m.created_at DESC
-            LIMIT 50
-        `);
-        res.status(200).json(messages.rows);
+// 9.2.1 حظر الطالب / فك الحظر
+app.post('/api/admin/students/:id/block', requireRole('admin'), validateRequest(schemas.studentBlock), async (req, res) => {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const { reason, blockFingerprints } = req.body;
+
+    try {
+        if (!(await checkStudentScope(req, res, studentId))) return;
+        const updated = await query(
+            `UPDATE students SET isblocked = TRUE, blocked_reason = $1, blocked_at = NOW()
+             WHERE id = $2
+             RETURNING id, name, email, isblocked, blocked_reason, blocked_at`,
+            [reason || null, studentId]
+        );
+        if (updated.rows.length === 0) return res.status(404).json({ error: 'Student not found' });
+
+        const revokedSessions = await revokeStudentSessions(studentId);
+        const blockedFingerprints = blockFingerprints
+            ? await fingerprints.blockStudentFingerprints(studentId, reason)
+            : [];
+
+        await leaderboard.invalidateLeaderboards();
+        await profiles.recordAudit(pool, studentId, { type: 'admin', name: req.admin.username }, 'block', {
+            reason: reason || null,
+            blockedFingerprints: blockedFingerprints.length
+        });
+
+        console.log(`🚫 Student ${studentId} blocked by ${req.admin.username}`);
+
+        res.status(200).json({ ...updated.rows[0], revokedSessions, blockedFingerprints });
     } catch (err) {
-        console.error('Error fetching messages:', err);
+        console.error('Error blocking student:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// 9.4 سجلات النشاط
-app.get('/api/admin/activity-logs', async (req, res) => {
-    try {
-        const logs = await query(`
-            SELECT 
-                al.activity_type as activitytype,
-                al.subject_name as subjectname,
-                al.timestamp,
-                s.name as studentName
-            FROM activity_logs al
-            JOIN students s ON al.student_id = s.id
-            ORDER BY al.timestamp DESC
-            LIMIT 100
-        `);
-        res.status(200).json(logs.rows);
+app.post('/api/admin/students/:id/unblock', requireRole('admin'), validateRequest(schemas.studentUnblock), async (req, res) => {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkStudentScope(req, res, studentId))) return;
+        const updated = await query(
+            `UPDATE students SET isblocked = FALSE, blocked_reason = NULL, blocked_at = NULL
+             WHERE id = $1
+             RETURNING id, name, email, isblocked`,
+            [studentId]
+        );
+        if (updated.rows.length === 0) return res.status(404).json({ error: 'Student not found' });
+
+        const unblockedFingerprints = req.body.unblockFingerprints
+            ? await fingerprints.unblockStudentFingerprints(studentId)
+            : 0;
+
+        await leaderboard.invalidateLeaderboards();
+        await profiles.recordAudit(pool, studentId, { type: 'admin', name: req.admin.username }, 'unblock', {
+            unblockedFingerprints
+        });
+
+        console.log(`✅ Student ${studentId} unblocked by ${req.admin.username}`);
+
+        res.status(200).json({ ...updated.rows[0], unblockedFingerprints });
     } catch (err) {
-        console.error('Error fetching activity logs:', err);
+        console.error('Error unblocking student:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// 9.5 سجلات الدخول
-app.get('/api/admin/login-logs', async (req, res) => {
-    try {
-        const logs = await query(`
-            SELECT 
-                ll.logintime,
-                ll.logouttime,
-                s.name
-            FROM login_logs ll
-            JOIN students s ON ll.student_id = s.id
-            ORDER BY ll.logintime DESC
-            LIMIT 100
-        `);
-        res.status(200).json(logs.rows);
+// 9.2.2 تعديل بيانات الطالب وسجل التدقيق
+app.put('/api/admin/students/:id', requireRole('admin'), validateRequest(schemas.adminStudentUpdate), async (req, res) => {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkStudentScope(req, res, studentId))) return;
+        if (req.body.email && await profiles.isEmailTaken(req.body.email, studentId)) {
+            return res.status(409).json({ error: 'Email already in use' });
+        }
+
+        const student = await profiles.updateProfile(studentId, req.body, { type: 'admin', name: req.admin.username });
+        if (!student) return res.status(404).json({ error: 'Student not found' });
+        res.status(200).json(student);
     } catch (err) {
-        console.error('Error fetching login logs:', err);
+        if (err.code === '23505') return res.status(409).json({ error: 'Email already in use' });
+        console.error('Error updating student:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/students/:id/avatar', requireRole('admin'), async (req, res) => {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkStudentScope(req, res, studentId))) return;
+        const student = await profiles.removeAvatar(studentId, { type: 'admin', name: req.admin.username });
+        if (!student) return res.status(404).json({ error: 'Student not found' });
+        res.status(200).json(student);
+    } catch (err) {
+        console.error('Error removing avatar:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/students/:id/audit-log', requireRole('viewer'), async (req, res) => {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkStudentScope(req, res, studentId))) return;
+        res.status(200).json(await profiles.getAuditLog(studentId));
+    } catch (err) {
+        console.error('Error fetching audit log:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.2.3 سجل حذف الحسابات (بدون بيانات شخصية)
+app.get('/api/admin/account-deletions', requireRole('viewer'), async (req, res) => {
+    try {
+        await sendAdminList(req, res, 'accountDeletions');
+    } catch (err) {
+        console.error('Error fetching account deletions:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.2.4 استيراد الطلاب من CSV (dryRun للمعاينة فقط)
+app.post('/api/admin/students/import', requireRole('admin'), uploadFile(upload), validateRequest(schemas.studentImport), async (req, res) => {
+    const file = req.file;
+    if (!file) return res.status(400).json({ error: 'File is required' });
+    if (!/\.csv$/i.test(file.originalname || '')) return res.status(400).json({ error: 'File must be a .csv file' });
+
+    const parsed = studentImport.parseCsv(file.buffer);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    try {
+        const report = await studentImport.validateRows(parsed.rows);
+
+        if (req.body.dryRun) {
+            return res.status(200).json({ dryRun: true, summary: studentImport.summarize(report), rows: report });
+        }
+
+        await studentImport.insertValidRows(report, req.admin.username);
+
+        // الدعوات تُضاف للطابور بعد حفظ الطلاب، وحالتها في سجل البريد
+        if (req.body.sendInvitations) {
+            for (const entry of report) {
+                if (entry.status !== 'created') continue;
+                const queued = await emailQueue.enqueue(entry.email, 'invitation', { studentName: entry.name });
+                entry.invitationEmailId = queued.id;
+            }
+        }
+
+        const summary = studentImport.summarize(report);
+        console.log(`📥 ${summary.created} students imported by ${req.admin.username}`);
+
+        res.status(summary.created > 0 ? 201 : 200).json({ dryRun: false, summary, rows: report });
+    } catch (err) {
+        console.error('Error importing students:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.3 الرسائل للإدارة
+app.get('/api/admin/messages', requireRole('viewer'), async (req, res) => {
+    try {
+        await sendAdminList(req, res, 'messages');
+    } catch (err) {
+        console.error('Error fetching messages:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.3.1 الرد على رسالة (مع إشعار بالبريد اختيارياً)
+app.put('/api/admin/messages/:id/reply', requireRole('admin'), validateRequest(schemas.messageReply), async (req, res) => {
+    const messageId = parseInt(req.params.id);
+    if (isNaN(messageId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const { reply, notify } = req.body;
+
+    try {
+        if (!(await checkMessageScope(req, res, messageId))) return;
+        const updated = await query(
+            `UPDATE messages
+             SET admin_reply = $1, replied_at = NOW(), replied_by = $2, is_read = TRUE, reply_read = FALSE
+             WHERE id = $3
+             RETURNING id, student_id, content, admin_reply, replied_at, replied_by`,
+            [reply, req.admin.username, messageId]
+        );
+        const message = updated.rows[0];
+        if (!message) return res.status(404).json({ error: 'Message not found' });
+
+        let emailQueued = false;
+        if (notify) {
+            const student = await getStudentById(message.student_id);
+            if (student && student.email) {
+                await emailQueue.enqueue(student.email, 'adminReply', {
+                    studentName: student.name,
+                    message: message.content,
+                    reply
+                });
+                emailQueued = true;
+            }
+        }
+
+        res.status(200).json({ ...message, emailQueued });
+    } catch (err) {
+        console.error('Error replying to message:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.3.2 تعليم الرسالة كمقروءة/غير مقروءة
+app.patch('/api/admin/messages/:id/read', requireRole('admin'), validateRequest(schemas.messageReadState), async (req, res) => {
+    const messageId = parseInt(req.params.id);
+    if (isNaN(messageId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkMessageScope(req, res, messageId))) return;
+        const updated = await query(
+            'UPDATE messages SET is_read = $1 WHERE id = $2 RETURNING id, is_read',
+            [req.body.isRead, messageId]
+        );
+        if (updated.rows.length === 0) return res.status(404).json({ error: 'Message not found' });
+
+        res.status(200).json(updated.rows[0]);
+    } catch (err) {
+        console.error('Error updating message read state:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.4 سجلات النشاط
+app.get('/api/admin/activity-logs', requireRole('viewer'), async (req, res) => {
+    try {
+        await sendAdminList(req, res, 'activityLogs');
+    } catch (err) {
+        console.error('Error fetching activity logs:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.5 سجلات الدخول
+app.get('/api/admin/login-logs', requireRole('viewer'), async (req, res) => {
+    try {
+        // الجلسات المنتهية بالخمول تُغلق في الخلفية (startExpiryTimer)
+        await sendAdminList(req, res, 'loginLogs');
+    } catch (err) {
+        console.error('Error fetching login logs:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.6 قفل الاختبارات وجدولتها
+app.get('/api/admin/quiz-status', requireRole('viewer'), async (req, res) => {
+    try {
+        res.status(200).json(await quizStatus.listQuizStatus());
+    } catch (err) {
+        console.error('Error fetching quiz status:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/admin/quiz-status/:subjectId', requireRole('admin'), validateRequest(schemas.quizStatusUpdate), async (req, res) => {
+    try {
+        // لا صفوف حالة لمواد غير موجودة (خطأ إملائي في المعرّف مثلاً)
+        if (!(await catalog.getSubject(req.params.subjectId))) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+        const status = await quizStatus.updateQuizStatus(req.params.subjectId, req.body);
+        console.log(`🔒 Quiz status updated by ${req.admin.username}: ${status.subject_id} (locked: ${status.effective.locked})`);
+        res.status(200).json(status);
+    } catch (err) {
+        console.error('Error updating quiz status:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.7 أجهزة الطالب والبصمات المحظورة
+app.get('/api/admin/students/:id/devices', requireRole('viewer'), async (req, res) => {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkStudentScope(req, res, studentId))) return;
+        const devices = await fingerprints.listDevices(studentId);
+        res.status(200).json({ devices, maxDevices: fingerprints.MAX_DEVICES_PER_STUDENT });
+    } catch (err) {
+        console.error('Error fetching devices:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/students/:id/devices/:deviceId', requireRole('admin'), async (req, res) => {
+    const studentId = parseInt(req.params.id);
+    const deviceId = parseInt(req.params.deviceId);
+    if (isNaN(studentId) || isNaN(deviceId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkStudentScope(req, res, studentId))) return;
+        const removed = await fingerprints.removeDevice(studentId, deviceId);
+        if (!removed) return res.status(404).json({ error: 'Device not found' });
+
+        res.status(200).json({ message: 'Device revoked successfully' });
+    } catch (err) {
+        console.error('Error revoking device:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/blocked-fingerprints', requireRole('viewer'), async (req, res) => {
+    try {
+        await sendAdminList(req, res, 'blockedFingerprints');
+    } catch (err) {
+        console.error('Error fetching blocked fingerprints:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/blocked-fingerprints', requireRole('admin'), validateRequest(schemas.fingerprintBlock), async (req, res) => {
+    try {
+        const blocked = await fingerprints.blockFingerprint(req.body.fingerprint, req.body.reason);
+        console.log(`🚫 Fingerprint blocked by ${req.admin.username}: ${blocked.fingerprint}`);
+        res.status(201).json(blocked);
+    } catch (err) {
+        console.error('Error blocking fingerprint:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/blocked-fingerprints/:id', requireRole('admin'), async (req, res) => {
+    const blockId = parseInt(req.params.id);
+    if (isNaN(blockId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const removed = await fingerprints.unblockFingerprint(blockId);
+        if (!removed) return res.status(404).json({ error: 'Blocked fingerprint not found' });
+
+        res.status(200).json({ message: 'Fingerprint unblocked successfully' });
+    } catch (err) {
+        console.error('Error unblocking fingerprint:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.8 إدارة المشرفين (superadmin فقط)
+app.get('/api/admin/admins', requireRole('superadmin'), async (req, res) => {
+    try {
+        const admins = await query('SELECT id, username, role, created_at FROM admins ORDER BY created_at ASC');
+        res.status(200).json(admins.rows);
+    } catch (err) {
+        console.error('Error fetching admins:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/admins', requireRole('superadmin'), validateRequest(schemas.adminCreate), async (req, res) => {
+    const { username, password, role } = req.body;
+
+    try {
+        const existing = await query('SELECT id FROM admins WHERE username = $1', [username]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+
+        const passwordHash = await bcrypt.hash(password, 10);
+        const newAdmin = await query(
+            'INSERT INTO admins (username, password_hash, role) VALUES ($1, $2, $3) RETURNING id, username, role, created_at',
+            [username, passwordHash, role]
+        );
+
+        console.log(`🛡️ Admin created: ${username} (${role}) by ${req.admin.username}`);
+
+        res.status(201).json(newAdmin.rows[0]);
+    } catch (err) {
+        console.error('Error creating admin:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/admins/:id', requireRole('superadmin'), async (req, res) => {
+    const adminId = parseInt(req.params.id);
+    if (isNaN(adminId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    if (adminId === req.admin.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    try {
+        const target = await findAdminById(adminId);
+        if (!target) return res.status(404).json({ error: 'Admin not found' });
+
+        if (target.role === 'superadmin') {
+            const superCount = await query("SELECT COUNT(*) as count FROM admins WHERE role = 'superadmin'");
+            if (parseInt(superCount.rows[0].count) <= 1) {
+                return res.status(400).json({ error: 'Cannot delete the last superadmin' });
+            }
+        }
+
+        await query('DELETE FROM admins WHERE id = $1', [adminId]);
+
+        console.log(`🛡️ Admin deleted: ${target.username} by ${req.admin.username}`);
+
+        res.status(200).json({ message: 'Admin deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting admin:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.9 بنك الأسئلة
+app.get('/api/admin/quizzes', requireRole('viewer'), async (req, res) => {
+    try {
+        res.status(200).json(await quizzes.listQuizzes({ subjectId: req.query.subjectId }));
+    } catch (err) {
+        console.error('Error fetching quizzes:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/quizzes', requireRole('admin'), validateRequest(schemas.quizCreate), async (req, res) => {
+    try {
+        if (!(await catalog.getSubject(req.body.subjectId))) {
+            return res.status(400).json({ error: 'Unknown subject' });
+        }
+
+        const quiz = await quizzes.createQuiz(req.body);
+        res.status(201).json(quiz);
+    } catch (err) {
+        console.error('Error creating quiz:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/quizzes/:id', requireRole('viewer'), async (req, res) => {
+    const quizId = parseInt(req.params.id);
+    if (isNaN(quizId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const quiz = await quizzes.getQuiz(quizId, { includeAnswers: true });
+        if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+        res.status(200).json(quiz);
+    } catch (err) {
+        console.error('Error fetching quiz:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/admin/quizzes/:id', requireRole('admin'), validateRequest(schemas.quizUpdate), async (req, res) => {
+    const quizId = parseInt(req.params.id);
+    if (isNaN(quizId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (req.body.subjectId && !(await catalog.getSubject(req.body.subjectId))) {
+            return res.status(400).json({ error: 'Unknown subject' });
+        }
+
+        const quiz = await quizzes.updateQuiz(quizId, req.body);
+        if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+        res.status(200).json(quiz);
+    } catch (err) {
+        console.error('Error updating quiz:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/quizzes/:id', requireRole('admin'), async (req, res) => {
+    const quizId = parseInt(req.params.id);
+    if (isNaN(quizId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const deleted = await quizzes.deleteQuiz(quizId);
+        if (!deleted) return res.status(404).json({ error: 'Quiz not found' });
+        res.status(200).json({ message: 'Quiz deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting quiz:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/quizzes/:id/questions', requireRole('admin'), validateRequest(schemas.question), async (req, res) => {
+    const quizId = parseInt(req.params.id);
+    if (isNaN(quizId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const quiz = await quizzes.getQuiz(quizId);
+        if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+
+        const questionId = await quizzes.addQuestion(quizId, req.body);
+        res.status(201).json({ id: questionId, quizId });
+    } catch (err) {
+        console.error('Error adding question:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/admin/questions/:id', requireRole('admin'), validateRequest(schemas.question), async (req, res) => {
+    const questionId = parseInt(req.params.id);
+    if (isNaN(questionId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const quizId = await quizzes.updateQuestion(questionId, req.body);
+        if (!quizId) return res.status(404).json({ error: 'Question not found' });
+        res.status(200).json({ id: questionId, quizId });
+    } catch (err) {
+        console.error('Error updating question:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/questions/:id', requireRole('admin'), async (req, res) => {
+    const questionId = parseInt(req.params.id);
+    if (isNaN(questionId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const deleted = await quizzes.deleteQuestion(questionId);
+        if (!deleted) return res.status(404).json({ error: 'Question not found' });
+        res.status(200).json({ message: 'Question deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting question:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.10 كتالوج المواد والوحدات والدروس
+app.get('/api/admin/subjects', requireRole('viewer'), async (req, res) => {
+    try {
+        res.status(200).json(await catalog.listSubjects());
+    } catch (err) {
+        console.error('Error fetching subjects:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/subjects/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const subject = await catalog.getSubjectTree(req.params.id);
+        if (!subject) return res.status(404).json({ error: 'Subject not found' });
+        res.status(200).json(subject);
+    } catch (err) {
+        console.error('Error fetching subject:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/subjects', requireRole('admin'), validateRequest(schemas.subjectCreate), async (req, res) => {
+    try {
+        const subject = await catalog.createSubject(req.body);
+        if (!subject) return res.status(409).json({ error: 'Subject ID already exists' });
+        res.status(201).json(subject);
+    } catch (err) {
+        console.error('Error creating subject:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/admin/subjects/:id', requireRole('admin'), validateRequest(schemas.subjectUpdate), async (req, res) => {
+    try {
+        const subject = await catalog.updateSubject(req.params.id, req.body);
+        if (!subject) return res.status(404).json({ error: 'Subject not found' });
+        res.status(200).json(subject);
+    } catch (err) {
+        console.error('Error updating subject:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/subjects/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await catalog.deleteSubject(req.params.id);
+        if (!result) return res.status(404).json({ error: 'Subject not found' });
+        if (result.error) return res.status(409).json({ error: result.error, dependents: result.dependents });
+        res.status(200).json({ message: 'Subject deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting subject:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/subjects/:id/units', requireRole('admin'), validateRequest(schemas.unit), async (req, res) => {
+    try {
+        if (!(await catalog.getSubject(req.params.id))) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+        res.status(201).json(await catalog.createUnit(req.params.id, req.body));
+    } catch (err) {
+        console.error('Error creating unit:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/admin/units/:id', requireRole('admin'), validateRequest(schemas.unitUpdate), async (req, res) => {
+    const unitId = parseInt(req.params.id);
+    if (isNaN(unitId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const unit = await catalog.updateUnit(unitId, req.body);
+        if (!unit) return res.status(404).json({ error: 'Unit not found' });
+        res.status(200).json(unit);
+    } catch (err) {
+        console.error('Error updating unit:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/units/:id', requireRole('admin'), async (req, res) => {
+    const unitId = parseInt(req.params.id);
+    if (isNaN(unitId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const deleted = await catalog.deleteUnit(unitId);
+        if (!deleted) return res.status(404).json({ error: 'Unit not found' });
+        res.status(200).json({ message: 'Unit deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting unit:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/units/:id/lessons', requireRole('admin'), validateRequest(schemas.lesson), async (req, res) => {
+    const unitId = parseInt(req.params.id);
+    if (isNaN(unitId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await catalog.getUnit(unitId))) return res.status(404).json({ error: 'Unit not found' });
+        res.status(201).json(await catalog.createLesson(unitId, req.body));
+    } catch (err) {
+        console.error('Error creating lesson:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/admin/lessons/:id', requireRole('admin'), validateRequest(schemas.lessonUpdate), async (req, res) => {
+    const lessonId = parseInt(req.params.id);
+    if (isNaN(lessonId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const lesson = await catalog.updateLesson(lessonId, req.body);
+        if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+        res.status(200).json(lesson);
+    } catch (err) {
+        console.error('Error updating lesson:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/lessons/:id', requireRole('admin'), async (req, res) => {
+    const lessonId = parseInt(req.params.id);
+    if (isNaN(lessonId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const deleted = await catalog.deleteLesson(lessonId);
+        if (!deleted) return res.status(404).json({ error: 'Lesson not found' });
+        res.status(200).json({ message: 'Lesson deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting lesson:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.10.1 المواد التعليمية (PDF / صور / خرائط)
+app.get('/api/admin/materials', requireRole('viewer'), async (req, res) => {
+    const lessonId = req.query.lessonId ? parseInt(req.query.lessonId) : null;
+    if (req.query.lessonId && isNaN(lessonId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        res.status(200).json(await materials.listMaterials({ subjectId: req.query.subjectId, lessonId }));
+    } catch (err) {
+        console.error('Error fetching materials:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/subjects/:id/materials', requireRole('admin'), uploadFile(materialUpload), validateRequest(schemas.materialUpload), async (req, res) => {
+    try {
+        if (!(await catalog.getSubject(req.params.id))) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+        await storeMaterial(req, res, { subjectId: req.params.id });
+    } catch (err) {
+        console.error('Error uploading material:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/lessons/:id/materials', requireRole('admin'), uploadFile(materialUpload), validateRequest(schemas.materialUpload), async (req, res) => {
+    const lessonId = parseInt(req.params.id);
+    if (isNaN(lessonId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const lesson = await catalog.getLesson(lessonId);
+        if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+        await storeMaterial(req, res, { subjectId: lesson.subject_id, lessonId });
+    } catch (err) {
+        console.error('Error uploading material:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/materials/:id', requireRole('admin'), async (req, res) => {
+    const materialId = parseInt(req.params.id);
+    if (isNaN(materialId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const deleted = await materials.deleteMaterial(materialId);
+        if (!deleted) return res.status(404).json({ error: 'Material not found' });
+        res.status(200).json({ message: 'Material deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting material:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.10.2 تصدير القوائم (CSV / Excel) بنفس فلاتر قوائم الإدارة
+app.get('/api/admin/exports/:name', requireRole('viewer'), async (req, res) => {
+    const definition = adminExports.getExport(req.params.name);
+    if (!definition) return res.status(404).json({ error: 'Unknown export' });
+
+    const { format = 'csv', ...filters } = req.query;
+    if (!adminExports.FORMATS[format]) return res.status(400).json({ error: 'Invalid format' });
+
+    const { error, value } = listing.parseListQuery(definition.resource, filters);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    try {
+        const groupScope = await groups.getAdminScope(req.admin);
+        res.setHeader('Content-Type', adminExports.FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${adminExports.getFilename(req.params.name, format)}"`);
+        await adminExports.streamExport(req.params.name, format, value, res, { groupScope });
+        console.log(`📤 Export ${req.params.name}.${format} by ${req.admin.username}`);
+    } catch (err) {
+        if (err.code === 'EXPORT_ABORTED') {
+            console.warn(`⚠️ Export ${req.params.name}.${format} cancelled by the client`);
+            return;
+        }
+        console.error('Error exporting list:', err);
+        if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+        else res.end();
+    }
+});
+
+// 9.11 تقارير تحليل الأسئلة ونتائج الاختبارات
+app.get('/api/admin/reports/item-analysis', requireRole('viewer'), async (req, res) => {
+    const schema = Joi.object({
+        subjectId: Joi.string().optional(),
+        quizId: Joi.number().integer().optional(),
+        from: Joi.date().iso().optional(),
+        to: Joi.date().iso().optional()
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    try {
+        const groupScope = await groups.getAdminScope(req.admin);
+        res.status(200).json(await reports.itemAnalysis(value, { groupScope }));
+    } catch (err) {
+        console.error('Error building item analysis:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/quiz-results', requireRole('viewer'), async (req, res) => {
+    try {
+        await sendAdminList(req, res, 'quizResults');
+    } catch (err) {
+        console.error('Error fetching quiz results:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/quiz-results/:id/answers', requireRole('viewer'), async (req, res) => {
+    const resultId = parseInt(req.params.id);
+    if (isNaN(resultId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const studentId = await reports.getResultStudentId(resultId);
+        if (!studentId) return res.status(404).json({ error: 'Result not found' });
+        if (!(await checkStudentScope(req, res, studentId))) return;
+        res.status(200).json(await reports.getResultAnswers(resultId));
+    } catch (err) {
+        console.error('Error fetching result answers:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.12 مجموعات الطلاب (الفصل / السنة / الفصل الدراسي)
+app.get('/api/admin/groups', requireRole('viewer'), async (req, res) => {
+    try {
+        const scope = await groups.getAdminScope(req.admin);
+        res.status(200).json(await groups.listGroups({ groupIds: scope }));
+    } catch (err) {
+        console.error('Error fetching groups:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/groups', requireRole('admin'), validateRequest(schemas.groupCreate), async (req, res) => {
+    try {
+        // المشرف المحدود بمجموعات يصبح مسؤولاً عن مجموعته الجديدة ليبقى قادراً على إدارتها
+        const scope = await groups.getAdminScope(req.admin);
+        const group = await groups.createGroup(req.body, { adminId: scope === null ? null : req.admin.id });
+        console.log(`👥 Group created: ${group.name} by ${req.admin.username}`);
+        res.status(201).json(group);
+    } catch (err) {
+        console.error('Error creating group:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/groups/:id', requireRole('viewer'), async (req, res) => {
+    const groupId = parseInt(req.params.id);
+    if (isNaN(groupId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkGroupScope(req, res, [groupId]))) return;
+        const group = await groups.getGroup(groupId);
+        if (!group) return res.status(404).json({ error: 'Group not found' });
+        res.status(200).json(group);
+    } catch (err) {
+        console.error('Error fetching group:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/admin/groups/:id', requireRole('admin'), validateRequest(schemas.groupUpdate), async (req, res) => {
+    const groupId = parseInt(req.params.id);
+    if (isNaN(groupId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkGroupScope(req, res, [groupId]))) return;
+        const group = await groups.updateGroup(groupId, req.body);
+        if (!group) return res.status(404).json({ error: 'Group not found' });
+        res.status(200).json(group);
+    } catch (err) {
+        console.error('Error updating group:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/groups/:id', requireRole('admin'), async (req, res) => {
+    const groupId = parseInt(req.params.id);
+    if (isNaN(groupId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkGroupScope(req, res, [groupId]))) return;
+        const deleted = await groups.deleteGroup(groupId);
+        if (!deleted) return res.status(404).json({ error: 'Group not found' });
+
+        console.log(`👥 Group ${groupId} deleted by ${req.admin.username}`);
+        res.status(200).json({ message: 'Group deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting group:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.12.1 أعضاء المجموعة
+app.get('/api/admin/groups/:id/members', requireRole('viewer'), async (req, res) => {
+    const groupId = parseInt(req.params.id);
+    if (isNaN(groupId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        // النطاق أولاً: المشرف المحدود لا يعرف إن كانت مجموعة خارج نطاقه موجودة أصلاً
+        if (!(await checkGroupScope(req, res, [groupId]))) return;
+        if (!(await groups.getGroup(groupId))) return res.status(404).json({ error: 'Group not found' });
+        res.status(200).json(await groups.listMembers(groupId));
+    } catch (err) {
+        console.error('Error fetching group members:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/groups/:id/members', requireRole('admin'), validateRequest(schemas.groupMembers), async (req, res) => {
+    const groupId = parseInt(req.params.id);
+    if (isNaN(groupId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        // النطاق أولاً: المشرف المحدود لا يعرف إن كانت مجموعة خارج نطاقه موجودة أصلاً
+        if (!(await checkGroupScope(req, res, [groupId]))) return;
+        if (!(await groups.getGroup(groupId))) return res.status(404).json({ error: 'Group not found' });
+        // المشرف المحدود لا يضيف إلا طلاباً في نطاقه، وإلا وسّع نطاقه بنفسه لأي طالب
+        const outside = await groups.getStudentsOutOfScope(await groups.getAdminScope(req.admin), req.body.studentIds);
+        if (outside.length > 0) {
+            return res.status(403).json({ error: 'Student is outside your scope', studentIds: outside });
+        }
+        res.status(200).json(await groups.addMembers(groupId, req.body.studentIds));
+    } catch (err) {
+        console.error('Error adding group members:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/groups/:id/members/:studentId', requireRole('admin'), async (req, res) => {
+    const groupId = parseInt(req.params.id);
+    const studentId = parseInt(req.params.studentId);
+    if (isNaN(groupId) || isNaN(studentId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await checkGroupScope(req, res, [groupId]))) return;
+        const removed = await groups.removeMember(groupId, studentId);
+        if (!removed) return res.status(404).json({ error: 'Member not found' });
+        res.status(200).json({ message: 'Member removed successfully' });
+    } catch (err) {
+        console.error('Error removing group member:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.12.2 المشرفون المسؤولون عن المجموعة (superadmin فقط)
+app.put('/api/admin/groups/:id/admins', requireRole('superadmin'), validateRequest(schemas.groupAdmins), async (req, res) => {
+    const groupId = parseInt(req.params.id);
+    if (isNaN(groupId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await groups.getGroup(groupId))) return res.status(404).json({ error: 'Group not found' });
+
+        const result = await groups.setGroupAdmins(groupId, req.body.adminIds);
+        if (result.notFound.length > 0) {
+            return res.status(400).json({ error: 'Unknown admin', adminIds: result.notFound });
+        }
+        res.status(200).json(await groups.getGroup(groupId));
+    } catch (err) {
+        console.error('Error updating group admins:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.12.3 إحصائيات المجموعة
+app.get('/api/admin/groups/:id/stats', requireRole('viewer'), async (req, res) => {
+    const groupId = parseInt(req.params.id);
+    if (isNaN(groupId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const schema = Joi.object({
+        activeDays: Joi.number().integer().min(1).max(365).default(7)
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    try {
+        // النطاق أولاً: المشرف المحدود لا يعرف إن كانت مجموعة خارج نطاقه موجودة أصلاً
+        if (!(await checkGroupScope(req, res, [groupId]))) return;
+        if (!(await groups.getGroup(groupId))) return res.status(404).json({ error: 'Group not found' });
+        res.status(200).json(await groups.getGroupStats(groupId, value));
+    } catch (err) {
+        console.error('Error fetching group stats:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.12.4 قصر مادة / اختبار على مجموعات (groupIds فارغة = متاح للجميع)
+app.put('/api/admin/subjects/:id/groups', requireRole('admin'), validateRequest(schemas.groupRestriction), async (req, res) => {
+    try {
+        if (!(await catalog.getSubject(req.params.id))) return res.status(404).json({ error: 'Subject not found' });
+        const currentGroupIds = await groups.getSubjectGroupIds(req.params.id);
+        if (!(await checkRestrictionScope(req, res, currentGroupIds, req.body.groupIds))) return;
+
+        const result = await groups.setSubjectGroups(req.params.id, req.body.groupIds);
+        if (result.notFound.length > 0) {
+            return res.status(400).json({ error: 'Unknown group', groupIds: result.notFound });
+        }
+        res.status(200).json({ subjectId: req.params.id, groupIds: await groups.getSubjectGroupIds(req.params.id) });
+    } catch (err) {
+        console.error('Error updating subject groups:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/admin/quizzes/:id/groups', requireRole('admin'), validateRequest(schemas.groupRestriction), async (req, res) => {
+    const quizId = parseInt(req.params.id);
+    if (isNaN(quizId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        if (!(await quizzes.getQuiz(quizId))) return res.status(404).json({ error: 'Quiz not found' });
+        const currentGroupIds = await groups.getQuizGroupIds(quizId);
+        if (!(await checkRestrictionScope(req, res, currentGroupIds, req.body.groupIds))) return;
+
+        const result = await groups.setQuizGroups(quizId, req.body.groupIds);
+        if (result.notFound.length > 0) {
+            return res.status(400).json({ error: 'Unknown group', groupIds: result.notFound });
+        }
+        res.status(200).json({ quizId, groupIds: await groups.getQuizGroupIds(quizId) });
+    } catch (err) {
+        console.error('Error updating quiz groups:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 9.13 سجل البريد الصادر (الطابور و dead-letter)
+app.get('/api/admin/email-log', requireRole('viewer'), async (req, res) => {
+    try {
+        await sendAdminList(req, res, 'emailLog');
+    } catch (err) {
+        console.error('Error fetching email log:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/email-log/summary', requireRole('viewer'), async (req, res) => {
+    try {
+        res.status(200).json(await emailQueue.getQueueSummary());
+    } catch (err) {
+        console.error('Error fetching email queue summary:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/email-log/:id', requireRole('viewer'), async (req, res) => {
+    const emailId = parseInt(req.params.id);
+    if (isNaN(emailId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const entry = await emailQueue.getLogEntry(emailId);
+        if (!entry) return res.status(404).json({ error: 'Email not found' });
+        res.status(200).json(entry);
+    } catch (err) {
+        console.error('Error fetching email log entry:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// إعادة إرسال رسالة من dead-letter
+app.post('/api/admin/email-log/:id/retry', requireRole('admin'), async (req, res) => {
+    const emailId = parseInt(req.params.id);
+    if (isNaN(emailId)) return res.status(400).json({ error: 'Invalid ID' });
+
+    try {
+        const result = await emailQueue.requeue(emailId);
+        if (!result) return res.status(404).json({ error: 'Email not found' });
+        if (result.error) return res.status(409).json({ error: result.error });
+
+        console.log(`📬 Email ${emailId} requeued by ${req.admin.username}`);
+        res.status(200).json(result.entry);
+    } catch (err) {
+        console.error('Error requeueing email:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -607,6 +2338,8 @@ app.get('/api/admin/login-logs', async (req, res) => {
 
 app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
+    emailQueue.startWorker();
+    startExpiryTimer();
     pool.query('SELECT NOW()')
         .then(res => console.log('✅ PostgreSQL Connected:', res.rows[0].now))
         .catch(err => console.error('❌ PostgreSQL Failed:', err.stack));
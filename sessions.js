@@ -0,0 +1,204 @@
+/*
+ * =================================================================================
+ * SESSIONS.JS - Student Session Tokens (active_sessions)
+ * =================================================================================
+ * ✅ إصدار توكن جلسة عشوائي لكل تسجيل دخول وحفظ بصمته (SHA-256) فقط في قاعدة البيانات
+ * ✅ Middleware يحدد الطالب من التوكن ويرفض الوصول لبيانات طالب آخر
+ * ✅ كل جلسة لها صف في login_logs يُغلق (logouttime) عند الخروج أو الإلغاء أو انتهاء الصلاحية
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { pool } = require('./database');
+
+// مدة الخمول المسموحة قبل انتهاء الجلسة (بالأيام)
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30;
+// كل كم يُفحص انتهاء الجلسات في الخلفية
+const EXPIRY_INTERVAL_MS = parseInt(process.env.SESSION_EXPIRY_INTERVAL_MS) || 10 * 60 * 1000;
+
+// لا نحفظ التوكن نفسه، بل الـ hash الخاص به
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+// إنهاء الجلسات المطابقة وإغلاق صفوفها في login_logs
+// reason: 'logout' | 'rotated' | 'revoked' | 'expired'
+// الجلسة المنتهية بالخمول تُغلق عند آخر نشاط لها وليس وقت اكتشاف انتهائها
+const endSessions = async (where, params, reason) => {
+    const logoutTime = reason === 'expired' ? 'e.last_activity' : 'NOW()';
+    const res = await pool.query(
+        `WITH ended AS (
+            DELETE FROM active_sessions WHERE ${where} RETURNING id, last_activity
+         ),
+         closed AS (
+            UPDATE login_logs l SET logouttime = ${logoutTime}, logout_reason = $${params.length + 1}
+            FROM ended e
+            WHERE l.session_id = e.id AND l.logouttime IS NULL
+            RETURNING l.id
+         )
+         SELECT COUNT(*)::int as count FROM ended`,
+        [...params, reason]
+    );
+    return res.rows[0].count;
+};
+
+// إنهاء كل الجلسات التي تجاوزت مدة الخمول (لكل الطلاب)
+const expireIdleSessions = async () => {
+    return endSessions('last_activity < NOW() - make_interval(days => $1)', [SESSION_TTL_DAYS], 'expired');
+};
+
+// مؤقت في الخلفية بدلاً من تنفيذ الإنهاء أثناء طلبات القراءة
+let expiryTimer = null;
+
+const runExpiry = () => {
+    expireIdleSessions().catch(err => console.error('Error expiring idle sessions:', err));
+};
+
+const startExpiryTimer = () => {
+    if (expiryTimer) return;
+    runExpiry();
+    expiryTimer = setInterval(runExpiry, EXPIRY_INTERVAL_MS);
+    expiryTimer.unref();
+};
+
+const stopExpiryTimer = () => {
+    if (expiryTimer) clearInterval(expiryTimer);
+    expiryTimer = null;
+};
+
+const createSession = async (studentId, { fingerprint, deviceInfo, ipAddress } = {}) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // تنظيف الجلسات المنتهية لهذا الطالب قبل إضافة جلسة جديدة
+    await endSessions(
+        'student_id = $1 AND last_activity < NOW() - make_interval(days => $2)',
+        [studentId, SESSION_TTL_DAYS],
+        'expired'
+    );
+
+    const sessionRes = await pool.query(
+        'INSERT INTO active_sessions (student_id, token, fingerprint, device_info, ip_address) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+        [studentId, hashToken(token), fingerprint || null, deviceInfo || null, ipAddress || null]
+    );
+
+    await pool.query(
+        `INSERT INTO login_logs (student_id, session_id, ip_address, user_agent, fingerprint)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [studentId, sessionRes.rows[0].id, ipAddress || null, deviceInfo || null, fingerprint || null]
+    );
+    await pool.query('UPDATE students SET last_seen = NOW() WHERE id = $1', [studentId]);
+
+    return token;
+};
+
+// يرجع الجلسة مع بيانات الطالب أو null إذا كانت غير موجودة أو منتهية
+const findSession = async (token) => {
+    const res = await pool.query(
+        `SELECT
+            a.id, a.student_id, a.fingerprint,
+            a.last_activity < NOW() - make_interval(days => $2) as expired,
+            s.name, s.email, s.isblocked
+         FROM active_sessions a
+         JOIN students s ON a.student_id = s.id
+         WHERE a.token = $1`,
+        [hashToken(token), SESSION_TTL_DAYS]
+    );
+    const session = res.rows[0];
+    if (!session) return null;
+
+    if (session.expired) {
+        await endSessions('id = $1', [session.id], 'expired');
+        return null;
+    }
+
+    // تحديث آخر نشاط و last_seen للطالب (مرة كل دقيقة على الأكثر لتخفيف الكتابة)
+    await pool.query(
+        `WITH touched AS (
+            UPDATE active_sessions SET last_activity = NOW()
+            WHERE id = $1 AND last_activity < NOW() - INTERVAL '1 minute'
+            RETURNING student_id
+         )
+         UPDATE students SET last_seen = NOW() WHERE id IN (SELECT student_id FROM touched)`,
+        [session.id]
+    );
+
+    return session;
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+    await endSessions('id = $1', [sessionId], reason);
+};
+
+const revokeStudentSessions = async (studentId) => {
+    return endSessions('student_id = $1', [studentId], 'revoked');
+};
+
+// ✅ Middleware: التحقق من توكن جلسة الطالب
+const authenticateStudent = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) return res.status(401).json({ error: 'Missing session token' });
+
+    try {
+        const session = await findSession(token);
+        if (!session) return res.status(401).json({ error: 'Invalid or expired session' });
+        if (session.isblocked) return res.status(403).json({ error: 'Account blocked' });
+
+        req.session = { id: session.id, fingerprint: session.fingerprint };
+        req.student = {
+            id: session.student_id,
+            name: session.name,
+            email: session.email,
+            isblocked: session.isblocked
+        };
+        next();
+    } catch (err) {
+        console.error('Error authenticating student:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// ✅ Middleware: تحديد الطالب إن وُجد توكن صالح دون اشتراطه (للصفحات العامة)
+const optionalStudent = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) return next();
+
+    try {
+        const session = await findSession(token);
+        if (session && !session.isblocked) {
+            req.session = { id: session.id, fingerprint: session.fingerprint };
+            req.student = { id: session.student_id, name: session.name, email: session.email, isblocked: false };
+        }
+        next();
+    } catch (err) {
+        console.error('Error resolving optional session:', err);
+        next();
+    }
+};
+
+// ✅ Middleware: الطالب لا يصل إلا لبياناته (req.params.id أو req.body.studentId)
+const requireSelf = (req, res, next) => {
+    const requestedId = req.params.id !== undefined ? req.params.id : req.body && req.body.studentId;
+
+    if (requestedId !== undefined && parseInt(requestedId) !== req.student.id) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+    next();
+};
+
+module.exports = {
+    getBearerToken,
+    createSession,
+    findSession,
+    endSessions,
+    expireIdleSessions,
+    startExpiryTimer,
+    stopExpiryTimer,
+    revokeSession,
+    revokeStudentSessions,
+    authenticateStudent,
+    optionalStudent,
+    requireSelf
+};
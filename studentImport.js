@@ -0,0 +1,145 @@
+/*
+ * =================================================================================
+ * STUDENTIMPORT.JS - Bulk Student Import from CSV
+ * =================================================================================
+ * ✅ قراءة ملف CSV (name, email) مع دعم عناوين الأعمدة بالعربية
+ * ✅ التحقق من كل صف بـ Joi وتقرير الأخطاء لكل صف
+ * ✅ وضع المعاينة (dry run) بدون أي كتابة في قاعدة البيانات
+ * ✅ إضافة الطلاب الصالحين في transaction واحدة
+ */
+
+const Joi = require('joi');
+const { parse } = require('csv-parse/sync');
+const { pool } = require('./database');
+const profiles = require('./profiles');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 1000;
+
+// نفس قواعد الاسم والبريد في schemas.studentRegister
+const rowSchema = Joi.object({
+    name: Joi.string().min(3).max(50).required().trim(),
+    email: Joi.string().email().required().trim()
+});
+
+const HEADER_ALIASES = {
+    name: 'name',
+    'الاسم': 'name',
+    'اسم الطالب': 'name',
+    email: 'email',
+    'البريد': 'email',
+    'البريد الإلكتروني': 'email'
+};
+
+const normalizeHeader = (header) => HEADER_ALIASES[String(header).trim().toLowerCase()] || String(header).trim();
+
+// يرجع { error } إذا كان الملف نفسه غير صالح، أو { rows } للتحقق
+const parseCsv = (buffer) => {
+    let records;
+    try {
+        records = parse(buffer, {
+            bom: true,
+            columns: headers => headers.map(normalizeHeader),
+            skip_empty_lines: true,
+            trim: true,
+            relax_column_count: true
+        });
+    } catch (err) {
+        return { error: `Invalid CSV: ${err.message}` };
+    }
+
+    if (records.length === 0) return { error: 'CSV file has no rows' };
+    if (!('name' in records[0]) || !('email' in records[0])) {
+        return { error: 'CSV must have name and email columns' };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        return { error: `Too many rows (max ${MAX_IMPORT_ROWS})` };
+    }
+    return { rows: records };
+};
+
+// تقرير لكل صف: valid / invalid / duplicate (مكرر في الملف) / exists (مسجل مسبقاً)
+// رقم الصف = رقمه في الملف (الصف 1 هو العناوين)
+const validateRows = async (records) => {
+    const report = records.map((record, index) => {
+        const { error, value } = rowSchema.validate({ name: record.name, email: record.email }, { abortEarly: false, stripUnknown: true });
+        return error
+            ? { row: index + 2, name: record.name, email: record.email, status: 'invalid', errors: error.details.map(d => d.message.replace(/"/g, '')) }
+            : { row: index + 2, name: value.name, email: value.email, status: 'valid', errors: [] };
+    });
+
+    // مقارنة البريد بدون حساسية لحالة الأحرف
+    const seen = new Set();
+    for (const entry of report) {
+        if (entry.status !== 'valid') continue;
+        const key = entry.email.toLowerCase();
+        if (seen.has(key)) {
+            entry.status = 'duplicate';
+            entry.errors.push('Email appears more than once in the file');
+        }
+        seen.add(key);
+    }
+
+    const emails = report.filter(entry => entry.status === 'valid').map(entry => entry.email.toLowerCase());
+    if (emails.length > 0) {
+        const existing = await pool.query('SELECT LOWER(email) as email FROM students WHERE LOWER(email) = ANY($1)', [emails]);
+        const existingSet = new Set(existing.rows.map(row => row.email));
+        for (const entry of report) {
+            if (entry.status === 'valid' && existingSet.has(entry.email.toLowerCase())) {
+                entry.status = 'exists';
+                entry.errors.push('A student with this email already exists');
+            }
+        }
+    }
+
+    return report;
+};
+
+const summarize = (report) => {
+    const summary = { total: report.length, valid: 0, invalid: 0, duplicate: 0, exists: 0, created: 0 };
+    for (const entry of report) {
+        if (entry.status === 'created') summary.created++;
+        else summary[entry.status]++;
+    }
+    return summary;
+};
+
+// إضافة الصفوف الصالحة في transaction واحدة (مع سجل تدقيق لكل طالب)
+// الصف الذي سُجّل بريده بين المعاينة والتنفيذ يُعلَّم exists بدلاً من إفشال الكل
+const insertValidRows = async (report, adminUsername) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        for (const entry of report) {
+            if (entry.status !== 'valid') continue;
+            const inserted = await client.query(
+                `INSERT INTO students (name, email) VALUES ($1, $2)
+                 ON CONFLICT (email) DO NOTHING
+                 RETURNING id`,
+                [entry.name, entry.email]
+            );
+            if (inserted.rows.length === 0) {
+                entry.status = 'exists';
+                entry.errors.push('A student with this email already exists');
+                continue;
+            }
+            entry.status = 'created';
+            entry.studentId = inserted.rows[0].id;
+            await profiles.recordAudit(client, entry.studentId, { type: 'admin', name: adminUsername }, 'import', {});
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    return report;
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    parseCsv,
+    validateRows,
+    insertValidRows,
+    summarize
+};
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getSubmitError } = require('../attempts');
+
+const inProgress = (overrides = {}) => ({
+    student_id: 7,
+    subject_id: 'math',
+    quiz_id: 3,
+    status: 'in_progress',
+    expires_at: new Date(Date.now() + 60 * 1000).toISOString(),
+    ...overrides
+});
+
+describe('attempts.getSubmitError', () => {
+    it('accepts an open attempt for the same student and quiz', () => {
+        assert.strictEqual(getSubmitError(inProgress(), 7, { subjectId: 'math', quizId: 3 }), null);
+    });
+
+    it('accepts an attempt without a time limit', () => {
+        assert.strictEqual(getSubmitError(inProgress({ quiz_id: null, expires_at: null }), 7, { subjectId: 'math' }), null);
+    });
+
+    it('hides attempts that are missing or belong to another student', () => {
+        assert.strictEqual(getSubmitError(null, 7, { subjectId: 'math', quizId: 3 }).status, 404);
+        assert.strictEqual(getSubmitError(inProgress(), 8, { subjectId: 'math', quizId: 3 }).status, 404);
+    });
+
+    it('rejects an attempt started for another subject or quiz', () => {
+        assert.strictEqual(getSubmitError(inProgress(), 7, { subjectId: 'physics', quizId: 3 }).status, 400);
+        assert.strictEqual(getSubmitError(inProgress(), 7, { subjectId: 'math', quizId: 4 }).status, 400);
+        assert.strictEqual(getSubmitError(inProgress(), 7, { subjectId: 'math' }).status, 400);
+    });
+
+    it('rejects a second submission', () => {
+        assert.strictEqual(getSubmitError(inProgress({ status: 'submitted' }), 7, { subjectId: 'math', quizId: 3 }).status, 409);
+    });
+
+    it('allows the grace period after the deadline, then rejects', () => {
+        const justExpired = inProgress({ expires_at: new Date(Date.now() - 5 * 1000).toISOString() });
+        const longExpired = inProgress({ expires_at: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+        assert.strictEqual(getSubmitError(justExpired, 7, { subjectId: 'math', quizId: 3 }), null);
+        assert.strictEqual(getSubmitError(longExpired, 7, { subjectId: 'math', quizId: 3 }).status, 403);
+        assert.strictEqual(getSubmitError(inProgress({ status: 'expired' }), 7, { subjectId: 'math', quizId: 3 }).status, 403);
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { installFakeCache } = require('./helpers/fakeCache');
+
+installFakeCache();
+const { isAllowed, isInScope } = require('../groups');
+
+describe('groups.isAllowed', () => {
+    it('allows everyone when there is no restriction', () => {
+        assert.strictEqual(isAllowed(undefined, []), true);
+        assert.strictEqual(isAllowed([], []), true);
+    });
+
+    it('allows members of any allowed group', () => {
+        assert.strictEqual(isAllowed([1, 2], [5, 2]), true);
+    });
+
+    it('blocks non-members and guests', () => {
+        assert.strictEqual(isAllowed([1, 2], [3]), false);
+        assert.strictEqual(isAllowed([1], []), false);
+    });
+});
+
+describe('groups.isInScope', () => {
+    it('treats a null scope as every group and an empty scope as none', () => {
+        assert.strictEqual(isInScope(null, 4), true);
+        assert.strictEqual(isInScope([], 4), false);
+        assert.strictEqual(isInScope([4], 4), true);
+    });
+});
@@ -0,0 +1,38 @@
+/*
+ * كاش في الذاكرة بنفس واجهة cache.js (get / setEx / del / incr / delIfEquals) للاختبارات
+ * يُحقن في require.cache قبل تحميل الملف المختبر، فلا اتصال بـ Redis
+ */
+
+const path = require('path');
+
+const createFakeCache = () => {
+    const store = new Map();
+    return {
+        store,
+        get: async (key) => (store.has(key) ? store.get(key) : null),
+        setEx: async (key, seconds, value) => {
+            store.set(key, String(value));
+            return 'OK';
+        },
+        del: async (key) => (store.delete(key) ? 1 : 0),
+        incr: async (key) => {
+            const count = (parseInt(store.get(key)) || 0) + 1;
+            store.set(key, String(count));
+            return count;
+        },
+        delIfEquals: async (key, value) => {
+            if (store.get(key) !== String(value)) return false;
+            store.delete(key);
+            return true;
+        }
+    };
+};
+
+const installFakeCache = () => {
+    const fake = createFakeCache();
+    const cachePath = path.resolve(__dirname, '../../cache.js');
+    require.cache[cachePath] = { id: cachePath, filename: cachePath, loaded: true, exports: fake };
+    return fake;
+};
+
+module.exports = { installFakeCache };
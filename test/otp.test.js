@@ -0,0 +1,59 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { installFakeCache } = require('./helpers/fakeCache');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.OTP_SECRET = process.env.OTP_SECRET || 'test-otp-secret';
+
+const cache = installFakeCache();
+const otp = require('../otp');
+
+const EMAIL = 'Student@Example.com';
+
+describe('otp.verify', () => {
+    beforeEach(() => cache.store.clear());
+
+    it('accepts the issued code once, for any email case', async () => {
+        const { code } = await otp.issue(EMAIL, 'login');
+        assert.deepStrictEqual(await otp.verify('student@example.com', 'login', code), { valid: true });
+        assert.strictEqual((await otp.verify(EMAIL, 'login', code)).status, 400);
+    });
+
+    it('lets only one of two concurrent requests use the same code', async () => {
+        const { code } = await otp.issue(EMAIL, 'login');
+        const results = await Promise.all([otp.verify(EMAIL, 'login', code), otp.verify(EMAIL, 'login', code)]);
+        assert.strictEqual(results.filter(r => r.valid).length, 1);
+    });
+
+    it('does not store the code itself', async () => {
+        const { code } = await otp.issue(EMAIL, 'login');
+        assert.ok(![...cache.store.values()].includes(code));
+    });
+
+    it('rejects a code issued for another purpose', async () => {
+        const { code } = await otp.issue(EMAIL, 'register');
+        const result = await otp.verify(EMAIL, 'delete-account', code);
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.error, 'Invalid or expired OTP');
+    });
+
+    it('counts down attempts and burns the code after the last one', async () => {
+        const { code } = await otp.issue(EMAIL, 'login');
+        const wrong = code === '000000' ? '111111' : '000000';
+
+        const first = await otp.verify(EMAIL, 'login', wrong);
+        assert.strictEqual(first.status, 400);
+        assert.strictEqual(first.attemptsLeft, 4);
+
+        for (let i = 0; i < 3; i++) await otp.verify(EMAIL, 'login', wrong);
+        const locked = await otp.verify(EMAIL, 'login', wrong);
+        assert.strictEqual(locked.status, 429);
+        assert.strictEqual(locked.attemptsLeft, 0);
+
+        assert.strictEqual((await otp.verify(EMAIL, 'login', code)).valid, false);
+    });
+
+    it('rejects an unknown email', async () => {
+        assert.strictEqual((await otp.verify('nobody@example.com', 'login', '123456')).status, 400);
+    });
+});
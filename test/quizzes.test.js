@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { gradeAnswers } = require('../quizzes');
+const { schemas } = require('../validation');
+
+const quiz = {
+    questions: [
+        { id: 1, choices: [{ id: 11, isCorrect: true }, { id: 12, isCorrect: false }] },
+        { id: 2, choices: [{ id: 21, isCorrect: true }, { id: 22, isCorrect: true }, { id: 23, isCorrect: false }] },
+        { id: 3, choices: [{ id: 31, isCorrect: false }, { id: 32, isCorrect: true }] }
+    ]
+};
+
+describe('quizzes.gradeAnswers', () => {
+    it('scores a fully correct submission as 100', () => {
+        const graded = gradeAnswers(quiz, [
+            { questionId: 1, choiceIds: [11] },
+            { questionId: 2, choiceIds: [22, 21] },
+            { questionId: 3, choiceIds: [32] }
+        ]);
+        assert.strictEqual(graded.totalQuestions, 3);
+        assert.strictEqual(graded.correctAnswers, 3);
+        assert.strictEqual(graded.score, 100);
+    });
+
+    it('requires every correct choice and no wrong ones for multi-answer questions', () => {
+        const partial = gradeAnswers(quiz, [{ questionId: 2, choiceIds: [21] }]);
+        const extra = gradeAnswers(quiz, [{ questionId: 2, choiceIds: [21, 22, 23] }]);
+        assert.strictEqual(partial.results[1].correct, false);
+        assert.strictEqual(extra.results[1].correct, false);
+    });
+
+    it('ignores choices that belong to another question', () => {
+        const graded = gradeAnswers(quiz, [{ questionId: 1, choiceIds: [11, 32], timeSpentMs: 1500 }]);
+        assert.deepStrictEqual(graded.results[0], { questionId: 1, choiceIds: [11], correct: true, timeSpentMs: 1500 });
+    });
+
+    it('counts unanswered questions as wrong and rounds the score', () => {
+        const graded = gradeAnswers(quiz, [{ questionId: 3, choiceIds: [32] }]);
+        assert.strictEqual(graded.correctAnswers, 1);
+        assert.strictEqual(graded.score, 33);
+        assert.deepStrictEqual(graded.results[0].choiceIds, []);
+        assert.strictEqual(graded.results[0].timeSpentMs, null);
+    });
+
+    it('scores an empty quiz as 0', () => {
+        assert.strictEqual(gradeAnswers({ questions: [] }, []).score, 0);
+    });
+});
+
+describe('schemas.quizSubmission', () => {
+    const answers = [{ questionId: 1, choiceIds: [11] }];
+
+    it('accepts answers only', () => {
+        assert.strictEqual(schemas.quizSubmission.validate({ attemptId: 5, answers }).error, undefined);
+    });
+
+    // الدرجة تُحسب في السيرفر، فأي درجة من العميل تُرفض بدلاً من تجاهلها
+    it('rejects client-supplied scores', () => {
+        assert.ok(schemas.quizSubmission.validate({ attemptId: 5, answers, score: 100 }).error);
+        assert.ok(schemas.quizSubmission.validate({ attemptId: 5, answers, correctAnswers: 1, totalQuestions: 1 }).error);
+    });
+
+    it('rejects the same question answered twice', () => {
+        assert.ok(schemas.quizSubmission.validate({ attemptId: 5, answers: [...answers, ...answers] }).error);
+    });
+});
@@ -1,14 +1,21 @@
 /*
  * =================================================================================
- * UPLOAD.JS - File Upload Service (Cloudinary + Multer)
+ * UPLOAD.JS - File Upload Service (Cloudinary / Local Disk + Multer)
  * =================================================================================
+ * ✅ محول تخزين قابل للتبديل: Cloudinary في الإنتاج أو القرص المحلي للتطوير والاختبارات
+ * ✅ التحقق من نوع الملف وحجمه حسب نوع المادة (PDF / صورة / خريطة)
  */
 
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
 const streamifier = require('streamifier');
 
+const MB = 1024 * 1024;
+
 // 1. إعداد Cloudinary بالمفاتيح
 cloudinary.config({
     cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -18,16 +25,16 @@ cloudinary.config({
 
 // 2. إعداد Multer (تخزين مؤقت في الذاكرة)
 const storage = multer.memoryStorage();
-const upload = multer({ 
+const upload = multer({
     storage: storage,
     limits: { fileSize: 5 * 1024 * 1024 } // الحد الأقصى 5 ميجا للملف
 });
 
 // 3. دالة الرفع المساعدة (Stream Upload)
-const uploadToCloudinary = (buffer) => {
+const uploadToCloudinary = (buffer, options = {}) => {
     return new Promise((resolve, reject) => {
         const uploadStream = cloudinary.uploader.upload_stream(
-            { folder: "tawal_academy_assets" }, // اسم المجلد في Cloudinary
+            { folder: "tawal_academy_assets", ...options }, // اسم المجلد في Cloudinary
             (error, result) => {
                 if (result) {
                     resolve(result);
@@ -40,4 +47,113 @@ const uploadToCloudinary = (buffer) => {
     });
 };
 
-module.exports = { upload, uploadToCloudinary };
+// 4. أنواع المواد التعليمية المسموحة
+const MATERIAL_KINDS = {
+    pdf: {
+        mimeTypes: ['application/pdf'],
+        extensions: ['.pdf'],
+        maxBytes: 20 * MB
+    },
+    image: {
+        mimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+        extensions: ['.jpg', '.jpeg', '.png', '.webp'],
+        maxBytes: 5 * MB
+    },
+    map: {
+        mimeTypes: ['image/jpeg', 'image/png', 'image/tiff', 'application/pdf'],
+        extensions: ['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.pdf'],
+        maxBytes: 15 * MB
+    }
+};
+
+// حد Multer = أكبر حد بين الأنواع، والتحقق الدقيق بعد معرفة نوع المادة
+const materialUpload = multer({
+    storage: storage,
+    limits: { fileSize: Math.max(...Object.values(MATERIAL_KINDS).map(k => k.maxBytes)), files: 1 }
+});
+
+// يرجع رسالة الخطأ أو null إذا كان الملف مقبولاً
+const validateMaterialFile = (kind, file) => {
+    const rules = MATERIAL_KINDS[kind];
+    if (!rules) return 'Unknown material kind';
+    if (!file) return 'File is required';
+
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!rules.mimeTypes.includes(file.mimetype) || !rules.extensions.includes(extension)) {
+        return `File type not allowed for ${kind}`;
+    }
+    if (file.size > rules.maxBytes) {
+        return `File too large for ${kind} (max ${rules.maxBytes / MB} MB)`;
+    }
+    return null;
+};
+
+// 5. محولات التخزين: save(buffer, { folder, originalName }) → { key, url }، remove(key)
+const cloudinaryStorage = {
+    name: 'cloudinary',
+    save: async (buffer, { folder }) => {
+        const result = await uploadToCloudinary(buffer, {
+            folder: `tawal_academy_assets/${folder}`,
+            resource_type: 'auto'
+        });
+        // نحفظ نوع المورد مع المعرف لأن الحذف يحتاجه (image / raw)
+        return { key: `${result.resource_type}/${result.public_id}`, url: result.secure_url };
+    },
+    remove: async (key) => {
+        const separator = key.indexOf('/');
+        const resourceType = key.slice(0, separator);
+        const publicId = key.slice(separator + 1);
+        const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+        if (result.result !== 'ok' && result.result !== 'not found') {
+            throw new Error(`Cloudinary delete failed: ${result.result}`);
+        }
+    },
+    getLocalPath: () => null
+};
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+
+const localStorage = {
+    name: 'local',
+    save: async (buffer, { folder, originalName }) => {
+        const key = `${folder}/${crypto.randomBytes(16).toString('hex')}${path.extname(originalName || '').toLowerCase()}`;
+        const filePath = path.join(UPLOAD_DIR, key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+        // الملفات المحلية لا تُقدَّم مباشرة، التحميل يمر عبر endpoint التحميل
+        return { key, url: null };
+    },
+    remove: async (key) => {
+        try {
+            await fs.promises.unlink(localStorage.getLocalPath(key));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    },
+    getLocalPath: (key) => {
+        const filePath = path.resolve(UPLOAD_DIR, key);
+        if (!filePath.startsWith(UPLOAD_DIR + path.sep)) throw new Error('Invalid storage key');
+        return filePath;
+    }
+};
+
+const STORAGE_DRIVERS = { cloudinary: cloudinaryStorage, local: localStorage };
+
+// STORAGE_DRIVER يحدد المحول، وبدونه نستخدم Cloudinary فقط إذا كانت مفاتيحه موجودة
+const getStorage = (name = process.env.STORAGE_DRIVER) => {
+    if (name) {
+        const driver = STORAGE_DRIVERS[name];
+        if (!driver) throw new Error(`Unknown storage driver: ${name}`);
+        return driver;
+    }
+    return process.env.CLOUDINARY_CLOUD_NAME ? cloudinaryStorage : localStorage;
+};
+
+module.exports = {
+    upload,
+    uploadToCloudinary,
+    materialUpload,
+    MATERIAL_KINDS,
+    validateMaterialFile,
+    getStorage
+};
@@ -5,15 +5,18 @@
  */
 
 const Joi = require('joi');
+const { DELETION_REASONS } = require('./constants');
 
 const validateRequest = (schema) => {
     return (req, res, next) => {
-        const { error } = schema.validate(req.body);
+        const { error, value } = schema.validate(req.body);
         if (error) {
             return res.status(400).json({ 
                 error: `Validation Error: ${error.details[0].message.replace(/"/g, '')}` 
             });
         }
+        // نستخدم القيم بعد التنظيف (trim) والقيم الافتراضية
+        req.body = value;
         next();
     };
 };
@@ -40,17 +43,79 @@ const schemas = {
         })
     }),
 
+    // 3. تسجيل الدخول بالبريد: التحقق من OTP وإصدار جلسة
+    studentLogin: Joi.object({
+        email: Joi.string().email().required().trim(),
+        fingerprint: Joi.string().required(),
+        otp: Joi.string().length(6).pattern(/^[0-9]+$/).required().messages({
+            'string.length': 'OTP must be 6 digits',
+            'string.pattern.base': 'OTP must be numbers only',
+            'any.required': 'OTP code is required'
+        })
+    }),
+
+    // تعديل الملف الشخصي (الاسم فقط، البريد له مسار تحقق منفصل)
+    profileUpdate: Joi.object({
+        name: Joi.string().min(3).max(50).required().trim()
+    }),
+
+    emailChangeRequest: Joi.object({
+        newEmail: Joi.string().email().required().trim()
+    }),
+
+    emailChangeConfirm: Joi.object({
+        newEmail: Joi.string().email().required().trim(),
+        otp: Joi.string().length(6).pattern(/^[0-9]+$/).required()
+    }),
+
+    // حذف الحساب (بتأكيد OTP على البريد الحالي)
+    accountDelete: Joi.object({
+        otp: Joi.string().length(6).pattern(/^[0-9]+$/).required(),
+        reason: Joi.string().valid(...DELETION_REASONS).optional()
+    }),
+
+    // استيراد الطلاب من CSV (الحقول تصل كنصوص من multipart)
+    studentImport: Joi.object({
+        dryRun: Joi.boolean().default(false),
+        sendInvitations: Joi.boolean().default(false)
+    }),
+
+    // تعديل بيانات الطالب من الإدارة
+    adminStudentUpdate: Joi.object({
+        name: Joi.string().min(3).max(50).optional().trim(),
+        email: Joi.string().email().optional().trim()
+    }).min(1),
+
     // باقي القواعد كما هي...
     adminLogin: Joi.object({
         username: Joi.string().required(),
         password: Joi.string().required()
     }),
 
+    adminRefresh: Joi.object({
+        refreshToken: Joi.string().required()
+    }),
+
+    adminCreate: Joi.object({
+        username: Joi.string().alphanum().min(3).max(30).required().trim(),
+        password: Joi.string().min(8).max(128).required(),
+        role: Joi.string().valid('superadmin', 'admin', 'viewer').default('admin')
+    }),
+
     message: Joi.object({
         studentId: Joi.number().integer().required(),
         message: Joi.string().min(2).max(500).required().trim()
     }),
 
+    messageReply: Joi.object({
+        reply: Joi.string().min(1).max(2000).required().trim(),
+        notify: Joi.boolean().default(false)
+    }),
+
+    messageReadState: Joi.object({
+        isRead: Joi.boolean().required()
+    }),
+
     quizResult: Joi.object({
         studentId: Joi.number().integer().required(),
         quizName: Joi.string().required(),
@@ -66,8 +131,157 @@ const schemas = {
         subjectName: Joi.string().optional().allow('')
     }),
 
+    subjectCreate: Joi.object({
+        id: Joi.string().pattern(/^[a-z0-9_]+$/).min(2).max(50).required().messages({
+            'string.pattern.base': 'Subject ID must contain only lowercase letters, numbers and underscores'
+        }),
+        titleAr: Joi.string().min(2).max(200).required().trim(),
+        titleEn: Joi.string().max(200).optional().allow('').trim(),
+        description: Joi.string().max(2000).optional().allow('').trim(),
+        position: Joi.number().integer().min(0).default(0),
+        coverImageUrl: Joi.string().uri().optional().allow(''),
+        isPublished: Joi.boolean().default(true)
+    }),
+
+    subjectUpdate: Joi.object({
+        titleAr: Joi.string().min(2).max(200).optional().trim(),
+        titleEn: Joi.string().max(200).optional().allow('').trim(),
+        description: Joi.string().max(2000).optional().allow('').trim(),
+        position: Joi.number().integer().min(0).optional(),
+        coverImageUrl: Joi.string().uri().optional().allow(''),
+        isPublished: Joi.boolean().optional()
+    }).min(1),
+
+    unit: Joi.object({
+        titleAr: Joi.string().min(2).max(200).required().trim(),
+        titleEn: Joi.string().max(200).optional().allow('').trim(),
+        position: Joi.number().integer().min(0).default(0)
+    }),
+
+    unitUpdate: Joi.object({
+        titleAr: Joi.string().min(2).max(200).optional().trim(),
+        titleEn: Joi.string().max(200).optional().allow('').trim(),
+        position: Joi.number().integer().min(0).optional()
+    }).min(1),
+
+    lesson: Joi.object({
+        titleAr: Joi.string().min(2).max(200).required().trim(),
+        titleEn: Joi.string().max(200).optional().allow('').trim(),
+        content: Joi.string().max(50000).optional().allow(''),
+        position: Joi.number().integer().min(0).default(0)
+    }),
+
+    lessonUpdate: Joi.object({
+        titleAr: Joi.string().min(2).max(200).optional().trim(),
+        titleEn: Joi.string().max(200).optional().allow('').trim(),
+        content: Joi.string().max(50000).optional().allow(''),
+        position: Joi.number().integer().min(0).optional()
+    }).min(1),
+
+    materialUpload: Joi.object({
+        kind: Joi.string().valid('pdf', 'image', 'map').required(),
+        title: Joi.string().max(200).optional().allow('').trim()
+    }),
+
+    quizCreate: Joi.object({
+        subjectId: Joi.string().required().trim(),
+        title: Joi.string().min(2).max(200).required().trim(),
+        description: Joi.string().max(2000).optional().allow('').trim(),
+        isPublished: Joi.boolean().default(false),
+        timeLimitSeconds: Joi.number().integer().min(30).optional().allow(null)
+    }),
+
+    quizUpdate: Joi.object({
+        subjectId: Joi.string().optional().trim(),
+        title: Joi.string().min(2).max(200).optional().trim(),
+        description: Joi.string().max(2000).optional().allow('').trim(),
+        isPublished: Joi.boolean().optional(),
+        timeLimitSeconds: Joi.number().integer().min(30).optional().allow(null)
+    }).min(1),
+
+    question: Joi.object({
+        text: Joi.string().min(1).max(2000).required().trim(),
+        explanation: Joi.string().max(2000).optional().allow('').trim(),
+        position: Joi.number().integer().min(0).default(0),
+        choices: Joi.array().items(Joi.object({
+            text: Joi.string().min(1).max(500).required().trim(),
+            isCorrect: Joi.boolean().default(false)
+        })).min(2).max(10).required()
+            .custom((choices, helpers) => choices.some(c => c.isCorrect)
+                ? choices
+                : helpers.message('At least one choice must be correct'))
+    }),
+
+    quizSubmission: Joi.object({
+        attemptId: Joi.number().integer().required(),
+        answers: Joi.array().items(Joi.object({
+            questionId: Joi.number().integer().required(),
+            choiceIds: Joi.array().items(Joi.number().integer()).unique().required(),
+            timeSpentMs: Joi.number().integer().min(0).max(24 * 60 * 60 * 1000).optional()
+        })).unique('questionId').required()
+    }),
+
+    attemptStart: Joi.object({
+        subjectId: Joi.string().required().trim()
+    }),
+
+    leaderboardVisibility: Joi.object({
+        hidden: Joi.boolean().required()
+    }),
+
     fingerprintCheck: Joi.object({
         fingerprint: Joi.string().required()
+    }),
+
+    quizStatusUpdate: Joi.object({
+        locked: Joi.boolean().required(),
+        message: Joi.string().max(255).optional().allow('').trim(),
+        opensAt: Joi.date().iso().optional().allow(null),
+        closesAt: Joi.date().iso().optional().allow(null)
+            .when('opensAt', { is: Joi.date().required(), then: Joi.date().greater(Joi.ref('opensAt')) }),
+        maxAttempts: Joi.number().integer().min(1).optional().allow(null),
+        timeLimitSeconds: Joi.number().integer().min(30).optional().allow(null)
+    }),
+
+    studentBlock: Joi.object({
+        reason: Joi.string().max(255).optional().allow('').trim(),
+        blockFingerprints: Joi.boolean().default(false)
+    }),
+
+    studentUnblock: Joi.object({
+        unblockFingerprints: Joi.boolean().default(false)
+    }),
+
+    fingerprintBlock: Joi.object({
+        fingerprint: Joi.string().required().trim(),
+        reason: Joi.string().max(255).optional().allow('').trim()
+    }),
+
+    groupCreate: Joi.object({
+        name: Joi.string().min(2).max(100).required().trim(),
+        kind: Joi.string().valid('class', 'year', 'semester').default('class'),
+        academicYear: Joi.string().max(20).optional().allow('', null).trim(),
+        description: Joi.string().max(1000).optional().allow('', null).trim()
+    }),
+
+    groupUpdate: Joi.object({
+        name: Joi.string().min(2).max(100).optional().trim(),
+        kind: Joi.string().valid('class', 'year', 'semester').optional(),
+        academicYear: Joi.string().max(20).optional().allow('', null).trim(),
+        description: Joi.string().max(1000).optional().allow('', null).trim()
+    }).min(1),
+
+    groupMembers: Joi.object({
+        studentIds: Joi.array().items(Joi.number().integer()).min(1).max(1000).unique().required()
+    }),
+
+    groupAdmins: Joi.object({
+        adminIds: Joi.array().items(Joi.number().integer()).unique().required()
+    }),
+
+    // قائمة فارغة = إزالة القيد (متاح للجميع)
+    groupRestriction: Joi.object({
+        groupIds: Joi.array().items(Joi.number().integer()).unique().required()
     })
 };
 